@@ -0,0 +1,364 @@
+import Vector2 from './Vector2';
+import Components from './Components';
+
+
+
+/**
+ * Two dimensional axis-aligned bounding box
+ */
+export default class Box2 {
+
+	/**
+	 * Returns an instance enclosing points
+	 * @param {Vector2[]} points - The points
+	 * @param {Box2} [target] - The target instance
+	 * @returns {Box2}
+	 */
+	static Points(points, target) {
+		if (target === undefined) target = new Box2();
+		else target.define();
+
+		for (let i = 0, l = points.length; i < l; i += 1) target.expandEQ(points[i]);
+
+		return target;
+	}
+
+
+	/**
+	 * Returns the union of a and b
+	 * @param {Box2} a - The first box
+	 * @param {Box2} b - The second box
+	 * @param {Box2} [target] - The target instance
+	 * @returns {Box2}
+	 */
+	static Union(a, b, target) {
+		return (target === undefined ? new Box2() : target).union(a, b);
+	}
+
+	/**
+	 * Returns the intersection of a and b
+	 * @param {Box2} a - The first box
+	 * @param {Box2} b - The second box
+	 * @param {Box2} [target] - The target instance
+	 * @returns {Box2}
+	 */
+	static Intersection(a, b, target) {
+		return (target === undefined ? new Box2() : target).intersection(a, b);
+	}
+
+	/**
+	 * Returns the enclosing box of b and point p
+	 * @param {Box2} b - The box
+	 * @param {Vector2} p - The point
+	 * @param {Box2} [target] - The target instance
+	 * @returns {Box2}
+	 */
+	static Expand(b, p, target) {
+		return (target === undefined ? new Box2() : target).expand(b, p);
+	}
+
+	/**
+	 * Returns the enclosing box of the 2x3 transformation of b (m*b)
+	 * Components 2x are assumed to be (0.0,0.0,1.0)
+	 * @param {Matrix3} m - The transform
+	 * @param {Box2} b - The box
+	 * @param {Box2} [target] - The target instance
+	 * @returns {Box2}
+	 */
+	static Multiply2x3Matrix3(m, b, target) {
+		return (target === undefined ? new Box2() : target).multiply2x3Matrix3(m, b);
+	}
+
+	/**
+	 * Returns a copy of b
+	 * @param {Box2} b - The source
+	 * @param {Box2} [target] - The target instance
+	 * @returns {Box2}
+	 */
+	static Copy(b, target) {
+		return (target === undefined ? new Box2() : target).copyOf(b);
+	}
+
+
+	/**
+	 * Returns true if a and b are equal, false otherwise (a==b)
+	 * @param {Box2} a - The protagonist
+	 * @param {Box2} b - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(a, b) {
+		return a === b || Vector2.isEQ(a.min, b.min) && Vector2.isEQ(a.max, b.max);
+	}
+
+	/**
+	 * Returns true if a and b overlap, false otherwise
+	 * @param {Box2} a - The protagonist
+	 * @param {Box2} b - The antagonist
+	 * @returns {boolean}
+	 */
+	static isOverlap(a, b) {
+		const amin = a.min.n, amax = a.max.n, bmin = b.min.n, bmax = b.max.n;
+
+		return (
+			amin[0] <= bmax[0] && amax[0] >= bmin[0] &&
+			amin[1] <= bmax[1] && amax[1] >= bmin[1]
+		);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Vector2} [min] - The minimal corner
+	 * @param {Vector2} [max] - The maximal corner
+	 * Omitting the corners will return the empty box
+	 */
+	constructor(min, max) {
+		this.define(min, max);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Vector2} [min] - The minimal corner
+	 * @param {Vector2} [max] - The maximal corner
+	 * Omitting the corners will return the empty box
+	 * @returns {Box2}
+	 */
+	define(min, max) {
+		const inf = Number.POSITIVE_INFINITY;
+
+		/**
+		 * The minimal corner
+		 * @type {Vector2}
+		 */
+		this.min = min !== undefined ? min : new Vector2([inf, inf]);
+
+		/**
+		 * The maximal corner
+		 * @type {Vector2}
+		 */
+		this.max = max !== undefined ? max : new Vector2([-inf, -inf]);
+
+		return this;
+	}
+
+
+	/**
+	 * True if the instance does not contain any point, false otherwise
+	 * @type {boolean}
+	 */
+	get isEmpty() {
+		const min = this.min.n, max = this.max.n;
+
+		return min[0] > max[0] || min[1] > max[1];
+	}
+
+	/**
+	 * The center
+	 * @type {Vector2}
+	 */
+	get center() {
+		const min = this.min.n, max = this.max.n;
+
+		return new Vector2([
+			(min[0] + max[0]) * 0.5,
+			(min[1] + max[1]) * 0.5
+		]);
+	}
+
+	/**
+	 * The extent, half of the size along each axis
+	 * @type {Vector2}
+	 */
+	get extent() {
+		const min = this.min.n, max = this.max.n;
+
+		return new Vector2([
+			(max[0] - min[0]) * 0.5,
+			(max[1] - min[1]) * 0.5
+		]);
+	}
+
+	/**
+	 * The size along each axis
+	 * @type {Vector2}
+	 */
+	get size() {
+		return Vector2.Subtract(this.max, this.min);
+	}
+
+
+	/**
+	 * The union of a and b
+	 * @param {Box2} a - The first box
+	 * @param {Box2} b - The second box
+	 * @returns {Box2}
+	 */
+	union(a, b) {
+		this.min.minXY(a.min, b.min);
+		this.max.maxXY(a.max, b.max);
+
+		return this;
+	}
+
+	/**
+	 * The intersection of a and b
+	 * Disjoint boxes will result in an empty instance
+	 * @param {Box2} a - The first box
+	 * @param {Box2} b - The second box
+	 * @returns {Box2}
+	 */
+	intersection(a, b) {
+		this.min.maxXY(a.min, b.min);
+		this.max.minXY(a.max, b.max);
+
+		return this;
+	}
+
+	/**
+	 * The enclosing box of b and point p
+	 * @param {Box2} b - The box
+	 * @param {Vector2} p - The point
+	 * @returns {Box2}
+	 */
+	expand(b, p) {
+		this.min.minXY(b.min, p);
+		this.max.maxXY(b.max, p);
+
+		return this;
+	}
+
+	/**
+	 * The enclosing box of the 2x3 transformation of b (m*b)
+	 * Components 2x are assumed to be (0.0,0.0,1.0)
+	 * Using the method of James Arvo
+	 * @param {Matrix3} m - The transform
+	 * @param {Box2} b - The box
+	 * @returns {Box2}
+	 */
+	multiply2x3Matrix3(m, b) {
+		if (b.isEmpty) return this.define();
+
+		const mn = m.n, bmin = b.min.n.slice(0, 2), bmax = b.max.n.slice(0, 2);
+		const min = [mn[6], mn[7]], max = min.slice(0);
+
+		for (let row = 0; row < 2; row += 1) {
+			for (let col = 0; col < 2; col += 1) {
+				const f = mn[col * 3 + row];
+				const e = f * bmin[col], g = f * bmax[col];
+
+				if (e < g) min[row] += e, max[row] += g;
+				else min[row] += g, max[row] += e;
+			}
+		}
+
+		Components.assign(this.min.n, min);
+		Components.assign(this.max.n, max);
+
+		return this;
+	}
+
+	/**
+	 * The copy of b
+	 * @param {Box2} b - The source
+	 * @returns {Box2}
+	 */
+	copyOf(b) {
+		this.min = Vector2.Copy(b.min);
+		this.max = Vector2.Copy(b.max);
+
+		return this;
+	}
+
+
+	/**
+	 * The union of the instance and b
+	 * @param {Box2} b - The box
+	 * @returns {Box2}
+	 */
+	unionEQ(b) {
+		return this.union(this, b);
+	}
+
+	/**
+	 * The intersection of the instance and b
+	 * Disjoint boxes will result in an empty instance
+	 * @param {Box2} b - The box
+	 * @returns {Box2}
+	 */
+	intersectionEQ(b) {
+		return this.intersection(this, b);
+	}
+
+	/**
+	 * The enclosing box of the instance and point p
+	 * @param {Vector2} p - The point
+	 * @returns {Box2}
+	 */
+	expandEQ(p) {
+		return this.expand(this, p);
+	}
+
+
+	/**
+	 * Returns true if p is inside the instance, false otherwise
+	 * @param {Vector2} p - The point
+	 * @returns {boolean}
+	 */
+	containsVector2(p) {
+		const min = this.min.n, max = this.max.n, pn = p.n;
+
+		return (
+			pn[0] >= min[0] && pn[0] <= max[0] &&
+			pn[1] >= min[1] && pn[1] <= max[1]
+		);
+	}
+
+	/**
+	 * Returns true if b is inside the instance, false otherwise
+	 * @param {Box2} b - The box
+	 * @returns {boolean}
+	 */
+	containsBox2(b) {
+		const min = this.min.n, max = this.max.n, bmin = b.min.n, bmax = b.max.n;
+
+		return (
+			bmin[0] >= min[0] && bmax[0] <= max[0] &&
+			bmin[1] >= min[1] && bmax[1] <= max[1]
+		);
+	}
+
+	/**
+	 * Returns the point inside the instance closest to p
+	 * @param {Vector2} p - The point
+	 * @param {Vector2} [target] - The target instance
+	 * @returns {Vector2}
+	 */
+	closestPoint(p, target) {
+		if (target === undefined) target = new Vector2();
+
+		return target
+			.maxXY(p, this.min)
+			.minXY(target, this.max);
+	}
+
+	/**
+	 * Returns the square of the distance between the instance and p
+	 * @param {Vector2} p - The point
+	 * @returns {number}
+	 */
+	distanceSquared(p) {
+		return Vector2.Subtract(this.closestPoint(p), p).normSquared;
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		return `[Box2](${ this.min.toString(digits) } ${ this.max.toString(digits) })`;
+	}
+}
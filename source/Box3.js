@@ -0,0 +1,369 @@
+import Vector3 from './Vector3';
+import Components from './Components';
+
+
+
+/**
+ * Three dimensional axis-aligned bounding box
+ */
+export default class Box3 {
+
+	/**
+	 * Returns an instance enclosing points
+	 * @param {Vector3[]} points - The points
+	 * @param {Box3} [target] - The target instance
+	 * @returns {Box3}
+	 */
+	static Points(points, target) {
+		if (target === undefined) target = new Box3();
+		else target.define();
+
+		for (let i = 0, l = points.length; i < l; i += 1) target.expandEQ(points[i]);
+
+		return target;
+	}
+
+
+	/**
+	 * Returns the union of a and b
+	 * @param {Box3} a - The first box
+	 * @param {Box3} b - The second box
+	 * @param {Box3} [target] - The target instance
+	 * @returns {Box3}
+	 */
+	static Union(a, b, target) {
+		return (target === undefined ? new Box3() : target).union(a, b);
+	}
+
+	/**
+	 * Returns the intersection of a and b
+	 * @param {Box3} a - The first box
+	 * @param {Box3} b - The second box
+	 * @param {Box3} [target] - The target instance
+	 * @returns {Box3}
+	 */
+	static Intersection(a, b, target) {
+		return (target === undefined ? new Box3() : target).intersection(a, b);
+	}
+
+	/**
+	 * Returns the enclosing box of b and point p
+	 * @param {Box3} b - The box
+	 * @param {Vector3} p - The point
+	 * @param {Box3} [target] - The target instance
+	 * @returns {Box3}
+	 */
+	static Expand(b, p, target) {
+		return (target === undefined ? new Box3() : target).expand(b, p);
+	}
+
+	/**
+	 * Returns the enclosing box of the 3x4 transformation of b (m*b)
+	 * Components 3x are assumed to be (0.0,0.0,0.0,1.0)
+	 * @param {Matrix4} m - The transform
+	 * @param {Box3} b - The box
+	 * @param {Box3} [target] - The target instance
+	 * @returns {Box3}
+	 */
+	static Multiply3x4Matrix4(m, b, target) {
+		return (target === undefined ? new Box3() : target).multiply3x4Matrix4(m, b);
+	}
+
+	/**
+	 * Returns a copy of b
+	 * @param {Box3} b - The source
+	 * @param {Box3} [target] - The target instance
+	 * @returns {Box3}
+	 */
+	static Copy(b, target) {
+		return (target === undefined ? new Box3() : target).copyOf(b);
+	}
+
+
+	/**
+	 * Returns true if a and b are equal, false otherwise (a==b)
+	 * @param {Box3} a - The protagonist
+	 * @param {Box3} b - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(a, b) {
+		return a === b || Vector3.isEQ(a.min, b.min) && Vector3.isEQ(a.max, b.max);
+	}
+
+	/**
+	 * Returns true if a and b overlap, false otherwise
+	 * @param {Box3} a - The protagonist
+	 * @param {Box3} b - The antagonist
+	 * @returns {boolean}
+	 */
+	static isOverlap(a, b) {
+		const amin = a.min.n, amax = a.max.n, bmin = b.min.n, bmax = b.max.n;
+
+		return (
+			amin[0] <= bmax[0] && amax[0] >= bmin[0] &&
+			amin[1] <= bmax[1] && amax[1] >= bmin[1] &&
+			amin[2] <= bmax[2] && amax[2] >= bmin[2]
+		);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Vector3} [min] - The minimal corner
+	 * @param {Vector3} [max] - The maximal corner
+	 * Omitting the corners will return the empty box
+	 */
+	constructor(min, max) {
+		this.define(min, max);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Vector3} [min] - The minimal corner
+	 * @param {Vector3} [max] - The maximal corner
+	 * Omitting the corners will return the empty box
+	 * @returns {Box3}
+	 */
+	define(min, max) {
+		const inf = Number.POSITIVE_INFINITY;
+
+		/**
+		 * The minimal corner
+		 * @type {Vector3}
+		 */
+		this.min = min !== undefined ? min : new Vector3([inf, inf, inf]);
+
+		/**
+		 * The maximal corner
+		 * @type {Vector3}
+		 */
+		this.max = max !== undefined ? max : new Vector3([-inf, -inf, -inf]);
+
+		return this;
+	}
+
+
+	/**
+	 * True if the instance does not contain any point, false otherwise
+	 * @type {boolean}
+	 */
+	get isEmpty() {
+		const min = this.min.n, max = this.max.n;
+
+		return min[0] > max[0] || min[1] > max[1] || min[2] > max[2];
+	}
+
+	/**
+	 * The center
+	 * @type {Vector3}
+	 */
+	get center() {
+		const min = this.min.n, max = this.max.n;
+
+		return new Vector3([
+			(min[0] + max[0]) * 0.5,
+			(min[1] + max[1]) * 0.5,
+			(min[2] + max[2]) * 0.5
+		]);
+	}
+
+	/**
+	 * The extent, half of the size along each axis
+	 * @type {Vector3}
+	 */
+	get extent() {
+		const min = this.min.n, max = this.max.n;
+
+		return new Vector3([
+			(max[0] - min[0]) * 0.5,
+			(max[1] - min[1]) * 0.5,
+			(max[2] - min[2]) * 0.5
+		]);
+	}
+
+	/**
+	 * The size along each axis
+	 * @type {Vector3}
+	 */
+	get size() {
+		return Vector3.Subtract(this.max, this.min);
+	}
+
+
+	/**
+	 * The union of a and b
+	 * @param {Box3} a - The first box
+	 * @param {Box3} b - The second box
+	 * @returns {Box3}
+	 */
+	union(a, b) {
+		this.min.minXYZ(a.min, b.min);
+		this.max.maxXYZ(a.max, b.max);
+
+		return this;
+	}
+
+	/**
+	 * The intersection of a and b
+	 * Disjoint boxes will result in an empty instance
+	 * @param {Box3} a - The first box
+	 * @param {Box3} b - The second box
+	 * @returns {Box3}
+	 */
+	intersection(a, b) {
+		this.min.maxXYZ(a.min, b.min);
+		this.max.minXYZ(a.max, b.max);
+
+		return this;
+	}
+
+	/**
+	 * The enclosing box of b and point p
+	 * @param {Box3} b - The box
+	 * @param {Vector3} p - The point
+	 * @returns {Box3}
+	 */
+	expand(b, p) {
+		this.min.minXYZ(b.min, p);
+		this.max.maxXYZ(b.max, p);
+
+		return this;
+	}
+
+	/**
+	 * The enclosing box of the 3x4 transformation of b (m*b)
+	 * Components 3x are assumed to be (0.0,0.0,0.0,1.0)
+	 * Using the method of James Arvo
+	 * @param {Matrix4} m - The transform
+	 * @param {Box3} b - The box
+	 * @returns {Box3}
+	 */
+	multiply3x4Matrix4(m, b) {
+		if (b.isEmpty) return this.define();
+
+		const mn = m.n, bmin = b.min.n.slice(0, 3), bmax = b.max.n.slice(0, 3);
+		const min = [mn[12], mn[13], mn[14]], max = min.slice(0);
+
+		for (let row = 0; row < 3; row += 1) {
+			for (let col = 0; col < 3; col += 1) {
+				const f = mn[col * 4 + row];
+				const e = f * bmin[col], g = f * bmax[col];
+
+				if (e < g) min[row] += e, max[row] += g;
+				else min[row] += g, max[row] += e;
+			}
+		}
+
+		Components.assign(this.min.n, min);
+		Components.assign(this.max.n, max);
+
+		return this;
+	}
+
+	/**
+	 * The copy of b
+	 * @param {Box3} b - The source
+	 * @returns {Box3}
+	 */
+	copyOf(b) {
+		this.min = Vector3.Copy(b.min);
+		this.max = Vector3.Copy(b.max);
+
+		return this;
+	}
+
+
+	/**
+	 * The union of the instance and b
+	 * @param {Box3} b - The box
+	 * @returns {Box3}
+	 */
+	unionEQ(b) {
+		return this.union(this, b);
+	}
+
+	/**
+	 * The intersection of the instance and b
+	 * Disjoint boxes will result in an empty instance
+	 * @param {Box3} b - The box
+	 * @returns {Box3}
+	 */
+	intersectionEQ(b) {
+		return this.intersection(this, b);
+	}
+
+	/**
+	 * The enclosing box of the instance and point p
+	 * @param {Vector3} p - The point
+	 * @returns {Box3}
+	 */
+	expandEQ(p) {
+		return this.expand(this, p);
+	}
+
+
+	/**
+	 * Returns true if p is inside the instance, false otherwise
+	 * @param {Vector3} p - The point
+	 * @returns {boolean}
+	 */
+	containsVector3(p) {
+		const min = this.min.n, max = this.max.n, pn = p.n;
+
+		return (
+			pn[0] >= min[0] && pn[0] <= max[0] &&
+			pn[1] >= min[1] && pn[1] <= max[1] &&
+			pn[2] >= min[2] && pn[2] <= max[2]
+		);
+	}
+
+	/**
+	 * Returns true if b is inside the instance, false otherwise
+	 * @param {Box3} b - The box
+	 * @returns {boolean}
+	 */
+	containsBox3(b) {
+		const min = this.min.n, max = this.max.n, bmin = b.min.n, bmax = b.max.n;
+
+		return (
+			bmin[0] >= min[0] && bmax[0] <= max[0] &&
+			bmin[1] >= min[1] && bmax[1] <= max[1] &&
+			bmin[2] >= min[2] && bmax[2] <= max[2]
+		);
+	}
+
+	/**
+	 * Returns the point inside the instance closest to p
+	 * @param {Vector3} p - The point
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	closestPoint(p, target) {
+		if (target === undefined) target = new Vector3();
+
+		return target
+			.maxXYZ(p, this.min)
+			.minXYZ(target, this.max);
+	}
+
+	/**
+	 * Returns the square of the distance between the instance and p
+	 * @param {Vector3} p - The point
+	 * @returns {number}
+	 */
+	distanceSquared(p) {
+		return Vector3.Subtract(this.closestPoint(p), p).normSquared;
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		return `[Box3](${ this.min.toString(digits) } ${ this.max.toString(digits) })`;
+	}
+}
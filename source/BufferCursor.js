@@ -0,0 +1,90 @@
+/**
+ * Movable position within a {@link BufferView}
+ * The cursor repositions a single instance instead of creating one instance per index
+ * Implements the iterator protocol
+ */
+export default class BufferCursor {
+
+	/**
+	 * Creates a new instance
+	 * @param {BufferView} view - The view
+	 * @param {int} [index=-1] - The index, -1 to start before the first instance
+	 */
+	constructor(view, index = -1) {
+		const Type = view.type;
+
+		/**
+		 * The view
+		 * @type {BufferView}
+		 */
+		this.view = view;
+
+		/**
+		 * The index
+		 * @type {int}
+		 */
+		this.index = -1;
+
+		/**
+		 * The instance at index, its components reference the buffer of view while index is valid
+		 * @type {Vector2|Vector3|Vector4|Matrix2|Matrix3|Matrix4}
+		 */
+		this.instance = new Type();
+
+		if (index !== -1) this.seek(index);
+	}
+
+
+	/**
+	 * true if the cursor is positioned at an instance, false otherwise
+	 * @type {boolean}
+	 */
+	get valid() {
+		return this.index > -1 && this.index < this.view.count;
+	}
+
+
+	/**
+	 * Moves the cursor to index
+	 * Throws a RangeError if index is not an integer or out of bounds
+	 * @param {int} index - The index
+	 * @returns {BufferCursor}
+	 */
+	seek(index) {
+		this.view.at(index, this.instance);
+		this.index = index;
+
+		return this;
+	}
+
+	/**
+	 * Moves the cursor to the next instance
+	 * @returns {Object} {value {Vector2|Vector3|Vector4|Matrix2|Matrix3|Matrix4|undefined}, done {boolean}} - The iterator result
+	 */
+	next() {
+		if (this.index + 1 >= this.view.count) {
+			this.index = this.view.count;
+
+			return { value : undefined, done : true };
+		}
+
+		return { value : this.seek(this.index + 1).instance, done : false };
+	}
+
+	/**
+	 * Returns the cursor itself, allowing cursors in for...of loops
+	 * @returns {BufferCursor}
+	 */
+	[Symbol.iterator]() {
+		return this;
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @returns {string}
+	 */
+	toString() {
+		return `[BufferCursor](${ this.index } ${ this.instance.toString() })`;
+	}
+}
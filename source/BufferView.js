@@ -0,0 +1,150 @@
+import BufferCursor from './BufferCursor';
+
+
+
+/**
+ * Interleaved view of vector or matrix instances in a shared buffer
+ * Instances returned by the view are backed by typed arrays referencing the buffer, operations on them read and write the buffer directly
+ * Offsets and strides are in bytes, as in WebGLRenderingContext#vertexAttribPointer
+ */
+export default class BufferView {
+
+	/**
+	 * Returns an instance of count tightly packed instances of type in a new buffer
+	 * @param {Function} type - The instance type, e.g. {@link Vector3} or {@link Matrix4}
+	 * @param {int} count - The number of instances
+	 * @param {Function} [array=Float32Array] - The component array type, Float32Array or Float64Array
+	 * @returns {BufferView}
+	 */
+	static Allocate(type, count, array = Float32Array) {
+		const Type = type, size = new Type().n.length;
+
+		return new BufferView(type, new ArrayBuffer(count * size * array.BYTES_PER_ELEMENT), 0, 0, count, array);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * Throws a RangeError if offset or stride are not aligned to the component array type or if the instances exceed the buffer
+	 * @param {Function} type - The instance type, e.g. {@link Vector3} or {@link Matrix4}
+	 * @param {ArrayBuffer|Float32Array|Float64Array} buffer - The shared buffer, offsets of typed arrays are relative to their first element
+	 * @param {int} [offset=0] - The byte offset of the first component of the first instance
+	 * @param {int} [stride=0] - The byte distance between the first components of consecutive instances, 0 for tightly packed instances
+	 * @param {int} [count] - The number of instances, omitting the count will return all instances fitting the buffer
+	 * @param {Function} [array=Float32Array] - The component array type, ignored if buffer is a typed array
+	 */
+	constructor(type, buffer, offset, stride, count, array) {
+		offset = offset !== undefined ? offset : 0;
+		stride = stride !== undefined ? stride : 0;
+		array = array !== undefined ? array : Float32Array;
+
+		if (ArrayBuffer.isView(buffer)) {
+			offset += buffer.byteOffset;
+			array = buffer.constructor;
+			buffer = buffer.buffer;
+		}
+
+		const Type = type, size = new Type().n.length, bytes = array.BYTES_PER_ELEMENT;
+
+		if (stride === 0) stride = size * bytes;
+
+		if (offset % bytes !== 0 || stride % bytes !== 0) throw new RangeError(`Offset and stride must be multiples of ${ bytes } bytes`);
+
+		if (count === undefined) count = Math.max(Math.floor((buffer.byteLength - offset - size * bytes) / stride) + 1, 0);
+
+		if (count > 0 && offset + (count - 1) * stride + size * bytes > buffer.byteLength) throw new RangeError(`${ count } instances exceed the buffer`);
+
+		/**
+		 * The instance type
+		 * @type {Function}
+		 */
+		this.type = type;
+
+		/**
+		 * The shared buffer
+		 * @type {ArrayBuffer}
+		 */
+		this.buffer = buffer;
+
+		/**
+		 * The component array type
+		 * @type {Function}
+		 */
+		this.array = array;
+
+		/**
+		 * The byte offset of the first instance
+		 * @type {int}
+		 */
+		this.offset = offset;
+
+		/**
+		 * The byte distance between consecutive instances
+		 * @type {int}
+		 */
+		this.stride = stride;
+
+		/**
+		 * The number of instances
+		 * @type {int}
+		 */
+		this.count = count;
+
+		/**
+		 * The number of components of each instance
+		 * @type {int}
+		 */
+		this.size = size;
+	}
+
+
+	/**
+	 * Returns the instance at index
+	 * The components of the instance reference the buffer
+	 * Throws a RangeError if index is not an integer or out of bounds
+	 * @param {int} index - The index
+	 * @param {Vector2|Vector3|Vector4|Matrix2|Matrix3|Matrix4} [target] - The target instance, its components will reference the buffer
+	 * @returns {Vector2|Vector3|Vector4|Matrix2|Matrix3|Matrix4}
+	 */
+	at(index, target) {
+		if (!Number.isInteger(index)) throw new RangeError(`Index ${ index } is not an integer`);
+
+		if (index < 0 || index >= this.count) throw new RangeError(`Index ${ index } out of bounds [0,${ this.count })`);
+
+		const TypedArray = this.array, Type = this.type;
+		const n = new TypedArray(this.buffer, this.offset + index * this.stride, this.size);
+
+		if (target === undefined) target = new Type(n);
+		else target.n = n;
+
+		return target;
+	}
+
+	/**
+	 * Returns a cursor at index
+	 * @param {int} [index=-1] - The index, -1 to start before the first instance
+	 * @returns {BufferCursor}
+	 */
+	cursor(index = -1) {
+		return new BufferCursor(this, index);
+	}
+
+	/**
+	 * Returns an iterator over all instances
+	 * Beware: the iterator yields the same, repositioned instance for each index
+	 * @returns {BufferCursor}
+	 */
+	[Symbol.iterator]() {
+		return this.cursor();
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @returns {string}
+	 */
+	toString() {
+		return `[BufferView](${ this.type.name } ${ this.count })`;
+	}
+}
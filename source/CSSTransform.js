@@ -0,0 +1,131 @@
+/**
+ * Css transform list parsing
+ */
+const CSSTransform = {};
+
+
+
+const _ANGLE = "angle";
+const _LENGTH = "length";
+const _NUMBER = "number";
+
+const _angleUnits = {
+	"" : Math.PI / 180.0,
+	deg : Math.PI / 180.0,
+	grad : Math.PI / 200.0,
+	rad : 1.0,
+	turn : Math.PI * 2.0
+};
+
+const _lengthUnits = {
+	"" : 1.0,
+	px : 1.0
+};
+
+const _functions = {
+	matrix : [6, new Array(6).fill(_NUMBER)],
+	matrix3d : [16, new Array(16).fill(_NUMBER)],
+	translate : [1, [_LENGTH, _LENGTH]],
+	translatex : [1, [_LENGTH]],
+	translatey : [1, [_LENGTH]],
+	translatez : [1, [_LENGTH]],
+	translate3d : [3, [_LENGTH, _LENGTH, _LENGTH]],
+	scale : [1, [_NUMBER, _NUMBER]],
+	scalex : [1, [_NUMBER]],
+	scaley : [1, [_NUMBER]],
+	scalez : [1, [_NUMBER]],
+	scale3d : [3, [_NUMBER, _NUMBER, _NUMBER]],
+	rotate : [1, [_ANGLE, _LENGTH, _LENGTH]],
+	rotatex : [1, [_ANGLE]],
+	rotatey : [1, [_ANGLE]],
+	rotatez : [1, [_ANGLE]],
+	rotate3d : [4, new Array(3).fill(_NUMBER).concat(_ANGLE)],
+	skew : [1, [_ANGLE, _ANGLE]],
+	skewx : [1, [_ANGLE]],
+	skewy : [1, [_ANGLE]],
+	perspective : [1, [_LENGTH]]
+};
+
+
+
+/**
+ * Returns the transform functions of css or svg transform list str
+ * Function names are returned in lower case, angles are returned in radians and lengths in pixels
+ * Unitless angles are interpreted as degrees, unitless lengths as pixels
+ * Throws a SyntaxError if str is malformed and an Error if str contains unsupported functions or units
+ * @param {string} str - The transform list
+ * @returns {Object[]} [{ name {string}, args {number[]} }]
+ */
+CSSTransform.parse = function(str) {
+	const res = [], expr = /([a-z0-9]+)\s*\(([^()]*)\)/gi;
+	let index = 0;
+
+	str = str.trim();
+
+	if (str === "" || str.toLowerCase() === "none") return res;
+
+	for (let match = expr.exec(str); match !== null; match = expr.exec(str)) {
+		if (!/^[\s,]*$/.test(str.slice(index, match.index))) throw new SyntaxError(`Malformed transform list "${ str }"`);
+
+		const name = match[1].toLowerCase(), list = match[2].trim();
+
+		if (!_has(_functions, name)) throw new Error(`Unsupported transform function "${ match[1] }"`);
+
+		const [min, types] = _functions[name];
+		const values = list !== "" ? list.split(/\s*,\s*|\s+/) : [], args = [];
+
+		if (values.length < min || values.length > types.length) {
+			throw new SyntaxError(`Invalid number of arguments to "${ match[0] }"`);
+		}
+
+		for (let i = 0, l = values.length; i < l; i += 1) args.push(_parseValue(values[i], types[i]));
+
+		res.push({ name, args });
+
+		index = expr.lastIndex;
+	}
+
+	if (res.length === 0 || !/^[\s,]*$/.test(str.slice(index))) throw new SyntaxError(`Malformed transform list "${ str }"`);
+
+	return res;
+};
+
+
+
+export default CSSTransform;
+
+
+
+/**
+ * Returns true if table defines key, false if key is undefined or inherited
+ * @private
+ * @param {Object} table - The table
+ * @param {string} key - The key
+ * @returns {boolean}
+ */
+function _has(table, key) {
+	return Object.prototype.hasOwnProperty.call(table, key);
+}
+
+/**
+ * Returns the numeric value of str
+ * @private
+ * @param {string} str - The value
+ * @param {string} type - The value type
+ * @returns {number}
+ */
+function _parseValue(str, type) {
+	const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/i.exec(str);
+
+	if (match === null) throw new SyntaxError(`Malformed value "${ str }"`);
+
+	const n = Number.parseFloat(match[1]), unit = match[2].toLowerCase();
+
+	if (type === _NUMBER && unit === "") return n;
+
+	if (type === _ANGLE && _has(_angleUnits, unit)) return n * _angleUnits[unit];
+
+	if (type === _LENGTH && _has(_lengthUnits, unit)) return n * _lengthUnits[unit];
+
+	throw new Error(`Unsupported ${ type } "${ str }"`);
+}
@@ -0,0 +1,38 @@
+/**
+ * Component array storage
+ * Components are stored in plain Arrays, Float32Arrays or Float64Arrays
+ * Operations write into the existing component array of an instance, preserving its storage
+ */
+const Components = {};
+
+
+
+/**
+ * Returns true if n is a supported component array of length, false otherwise
+ * @param {*} n - The candidate
+ * @param {int} length - The number of components
+ * @returns {boolean}
+ */
+Components.isArray = function(n, length) {
+	if (!n || n.length !== length) return false;
+
+	const type = n.constructor;
+
+	return type === Array || type === Float32Array || type === Float64Array;
+};
+
+/**
+ * Returns n after copying the components of source into n
+ * @param {number[]|Float32Array|Float64Array} n - The component array
+ * @param {number[]|Float32Array|Float64Array} source - The source components, at least as many as n
+ * @returns {number[]|Float32Array|Float64Array}
+ */
+Components.assign = function(n, source) {
+	for (let i = 0, l = n.length; i < l; i += 1) n[i] = source[i];
+
+	return n;
+};
+
+
+
+export default Components;
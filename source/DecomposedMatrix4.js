@@ -0,0 +1,324 @@
+import Math from './Math';
+import Vector3 from './Vector3';
+import Vector4 from './Vector4';
+import Matrix3 from './Matrix3';
+import Matrix4 from './Matrix4';
+
+
+
+/**
+ * Decomposed 4x4 transformation
+ * Using the decomposition, recomposition and interpolation of the CSS Transforms Module Level 2
+ * The represented transformation is perspective*translation*rotation*skew*scale
+ */
+export default class DecomposedMatrix4 {
+
+	/**
+	 * Returns an instance of m
+	 * Returns null if m is assumed to be not decomposable
+	 * @param {Matrix4} m - The source
+	 * @param {DecomposedMatrix4} [target] - The target instance
+	 * @returns {DecomposedMatrix4|null}
+	 */
+	static Matrix4(m, target) {
+		if (target === undefined) target = new DecomposedMatrix4();
+
+		return target.matrix4Of(m) ? target : null;
+	}
+
+
+	/**
+	 * Returns the interpolation of a and b
+	 * @param {DecomposedMatrix4} a - The first transform
+	 * @param {DecomposedMatrix4} b - The second transform
+	 * @param {number} t - The interpolation factor
+	 * @param {DecomposedMatrix4} [target] - The target instance
+	 * @returns {DecomposedMatrix4}
+	 */
+	static Interpolate(a, b, t, target) {
+		return (target === undefined ? new DecomposedMatrix4() : target).interpolationOf(a, b, t);
+	}
+
+	/**
+	 * Returns the interpolation of m and n
+	 * Transforms which are not decomposable will be interpolated discretely
+	 * @param {Matrix4} m - The first transform
+	 * @param {Matrix4} n - The second transform
+	 * @param {number} t - The interpolation factor
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	static InterpolateMatrix4(m, n, t, target) {
+		const a = DecomposedMatrix4.Matrix4(m), b = DecomposedMatrix4.Matrix4(n);
+
+		if (a === null || b === null) return Matrix4.Copy(t < 0.5 ? m : n, target);
+
+		return a.interpolationOf(a, b, t).toMatrix4(target);
+	}
+
+	/**
+	 * Returns a copy of d
+	 * @param {DecomposedMatrix4} d - The source
+	 * @param {DecomposedMatrix4} [target] - The target instance
+	 * @returns {DecomposedMatrix4}
+	 */
+	static Copy(d, target) {
+		return (target === undefined ? new DecomposedMatrix4() : target).copyOf(d);
+	}
+
+
+	/**
+	 * Returns true if a and b are equal, false otherwise (a==b)
+	 * @param {DecomposedMatrix4} a - The protagonist
+	 * @param {DecomposedMatrix4} b - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(a, b) {
+		return a === b || (
+			Vector3.isEQ(a.translation, b.translation) &&
+			Vector3.isEQ(a.scale, b.scale) &&
+			Vector3.isEQ(a.skew, b.skew) &&
+			Vector4.isEQ(a.perspective, b.perspective) &&
+			Vector4.isEQ(a.quaternion, b.quaternion)
+		);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Vector3} [translation] - The translation
+	 * @param {Vector3} [scale] - The scale
+	 * @param {Vector3} [skew] - The xy, xz and yz skew factors
+	 * @param {Vector4} [perspective] - The perspective
+	 * @param {Vector4} [quaternion] - The rotation
+	 * Omitting the components will return the identity transform
+	 */
+	constructor(translation, scale, skew, perspective, quaternion) {
+		this.define(translation, scale, skew, perspective, quaternion);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Vector3} [translation] - The translation
+	 * @param {Vector3} [scale] - The scale
+	 * @param {Vector3} [skew] - The xy, xz and yz skew factors
+	 * @param {Vector4} [perspective] - The perspective
+	 * @param {Vector4} [quaternion] - The rotation
+	 * Omitting the components will return the identity transform
+	 * @returns {DecomposedMatrix4}
+	 */
+	define(translation, scale, skew, perspective, quaternion) {
+		/**
+		 * The translation
+		 * @type {Vector3}
+		 */
+		this.translation = translation !== undefined ? translation : new Vector3();
+
+		/**
+		 * The scale
+		 * @type {Vector3}
+		 */
+		this.scale = scale !== undefined ? scale : new Vector3([1.0, 1.0, 1.0]);
+
+		/**
+		 * The xy, xz and yz skew factors
+		 * @type {Vector3}
+		 */
+		this.skew = skew !== undefined ? skew : new Vector3();
+
+		/**
+		 * The perspective, the last row of the transform
+		 * @type {Vector4}
+		 */
+		this.perspective = perspective !== undefined ? perspective : new Vector4();
+
+		/**
+		 * The rotation unit-quaternion
+		 * @type {Vector4}
+		 */
+		this.quaternion = quaternion !== undefined ? quaternion : new Vector4();
+
+		return this;
+	}
+
+
+	/**
+	 * The decomposition of m
+	 * Beware: method is NOT chainable
+	 * Using the unmatrix algorithm of the CSS Transforms Module Level 2
+	 * @param {Matrix4} m - The source
+	 * @returns {boolean}
+	 * Returns false if m is assumed to be not decomposable, true otherwise
+	 */
+	matrix4Of(m) {
+		const w = m.n[15];
+
+		if (w === 0.0) return false;
+
+		const n = m.n.map((item, index, source) => item / w);
+		const p = n.slice(0);
+
+		p[3] = 0.0, p[7] = 0.0, p[11] = 0.0, p[15] = 1.0;
+
+		const inverse = Matrix4.Inverse(new Matrix4(p));
+
+		if (inverse === null) return false;
+
+		const perspective = new Vector4();
+
+		if (n[3] !== 0.0 || n[7] !== 0.0 || n[11] !== 0.0) {
+			const pn = perspective.n, inv = inverse.n;
+
+			for (let i = 0; i < 4; i += 1) {
+				pn[i] = n[3] * inv[i * 4] + n[7] * inv[i * 4 + 1] + n[11] * inv[i * 4 + 2] + n[15] * inv[i * 4 + 3];
+			}
+		}
+
+		const x = new Vector3(n.slice(0, 3)), y = new Vector3(n.slice(4, 7)), z = new Vector3(n.slice(8, 11));
+
+		const sx = x.norm;
+
+		x.multiplyScalarEQ(1.0 / sx);
+
+		let xy = Vector3.dot(x, y);
+
+		y.subtractEQ(Vector3.MultiplyScalar(x, xy));
+
+		const sy = y.norm;
+
+		y.multiplyScalarEQ(1.0 / sy), xy /= sy;
+
+		let xz = Vector3.dot(x, z);
+
+		z.subtractEQ(Vector3.MultiplyScalar(x, xz));
+
+		let yz = Vector3.dot(y, z);
+
+		z.subtractEQ(Vector3.MultiplyScalar(y, yz));
+
+		const sz = z.norm;
+
+		z.multiplyScalarEQ(1.0 / sz), xz /= sz, yz /= sz;
+
+		const scale = new Vector3([sx, sy, sz]);
+
+		if (Vector3.dot(x, Vector3.Cross(y, z)) < 0.0) {
+			scale.multiplyScalarEQ(-1.0);
+			x.multiplyScalarEQ(-1.0);
+			y.multiplyScalarEQ(-1.0);
+			z.multiplyScalarEQ(-1.0);
+		}
+
+		const xn = x.n, yn = y.n, zn = z.n;
+
+		const q = [
+			0.5 * Math.sqrt(Math.max(1.0 + xn[0] - yn[1] - zn[2], 0.0)),
+			0.5 * Math.sqrt(Math.max(1.0 - xn[0] + yn[1] - zn[2], 0.0)),
+			0.5 * Math.sqrt(Math.max(1.0 - xn[0] - yn[1] + zn[2], 0.0)),
+			0.5 * Math.sqrt(Math.max(1.0 + xn[0] + yn[1] + zn[2], 0.0))
+		];
+
+		if (zn[1] > yn[2]) q[0] = -q[0];
+
+		if (xn[2] > zn[0]) q[1] = -q[1];
+
+		if (yn[0] > xn[1]) q[2] = -q[2];
+
+		this.translation = new Vector3(n.slice(12, 15));
+		this.scale = scale;
+		this.skew = new Vector3([xy, xz, yz]);
+		this.perspective = perspective;
+		this.quaternion = new Vector4(q);
+
+		return true;
+	}
+
+	/**
+	 * The interpolation of a and b
+	 * The rotations are interpolated without taking the shortest path, matching the CSS transitions
+	 * @param {DecomposedMatrix4} a - The first transform
+	 * @param {DecomposedMatrix4} b - The second transform
+	 * @param {number} t - The interpolation factor
+	 * @returns {DecomposedMatrix4}
+	 */
+	interpolationOf(a, b, t) {
+		const qa = a.quaternion.n, qb = b.quaternion.n;
+		const dot = Math.clamp(Vector4.dot(a.quaternion, b.quaternion), -1.0, 1.0);
+		let q = qa.slice(0);
+
+		if (Math.abs(dot) !== 1.0) {
+			const theta = Math.acos(dot);
+			const fb = Math.sin(t * theta) / Math.sqrt(1.0 - dot * dot);
+			const fa = Math.cos(t * theta) - dot * fb;
+
+			q = qa.map((item, index, source) => item * fa + qb[index] * fb);
+		}
+
+		const mix = (v, w) => v.n.map((item, index, source) => Math.mix(item, w.n[index], t));
+
+		this.translation = new Vector3(mix(a.translation, b.translation));
+		this.scale = new Vector3(mix(a.scale, b.scale));
+		this.skew = new Vector3(mix(a.skew, b.skew));
+		this.perspective = new Vector4(mix(a.perspective, b.perspective));
+		this.quaternion = new Vector4(q);
+
+		return this;
+	}
+
+	/**
+	 * The copy of d
+	 * @param {DecomposedMatrix4} d - The source
+	 * @returns {DecomposedMatrix4}
+	 */
+	copyOf(d) {
+		this.translation = Vector3.Copy(d.translation);
+		this.scale = Vector3.Copy(d.scale);
+		this.skew = Vector3.Copy(d.skew);
+		this.perspective = Vector4.Copy(d.perspective);
+		this.quaternion = Vector4.Copy(d.quaternion);
+
+		return this;
+	}
+
+
+	/**
+	 * Returns the recomposition of the instance
+	 * The inverse of {@link DecomposedMatrix4#matrix4Of}
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	toMatrix4(target) {
+		const p = new Matrix4(), pn = p.n, vn = this.perspective.n, kn = this.skew.n;
+
+		pn[3] = vn[0], pn[7] = vn[1], pn[11] = vn[2], pn[15] = vn[3];
+
+		const k = new Matrix3();
+
+		k.n[3] = kn[0], k.n[6] = kn[1], k.n[7] = kn[2];
+
+		const m = Matrix3.Multiply(Matrix3.Multiply(Matrix3.Vector4(this.quaternion), k), Matrix3.Scale(this.scale));
+
+		return Matrix4.Multiply(p, Matrix4.Multiply3x4Matrix3(Matrix4.Translation(this.translation), m), target);
+	}
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		const str = [
+			this.translation,
+			this.scale,
+			this.skew,
+			this.perspective,
+			this.quaternion
+		]
+			.map((item, index, source) => item.toString(digits))
+			.join(" ");
+
+		return `[DecomposedMatrix4](${ str })`;
+	}
+}
@@ -0,0 +1,381 @@
+/**
+ * The maximal condition number of solvable systems
+ * Solutions of systems with larger condition numbers lose more than 12 of their ~16 significant digits
+ * @type {number}
+ */
+export const MAX_CONDITION = 1.0e12;
+
+
+
+/**
+ * Decompositions of square matrices
+ * All matrices are column-major component arrays of size*size components
+ */
+const Decomposition = {};
+
+
+
+/**
+ * Returns the LU decomposition with partial pivoting of matrix a (p*a=l*u)
+ * Using gauss elimination, rows are pivoted on the largest absolute value of the column
+ * The diagonal of singular columns of u is 0.0
+ * Pivots are singular if not exceeding size * Number.EPSILON times the largest absolute component of a
+ * @param {number[]} a - The matrix
+ * @param {int} size - The number of rows and columns
+ * @returns {Array} [l {number[]}, u {number[]}, p {int[]}] - The unit lower triangular matrix, the upper triangular matrix and the row permutation
+ */
+Decomposition.lu = function(a, size) {
+	const u = a.slice(0), l = _identity(size), p = [], abs = Math.abs;
+	let scale = 0.0;
+
+	for (let i = 0; i < size; i += 1) p.push(i);
+
+	for (let i = 0; i < size * size; i += 1) scale = Math.max(scale, abs(a[i]));
+
+	const tolerance = size * Number.EPSILON * scale;
+
+	for (let c = 0; c < size; c += 1) {
+		const col = c * size;
+		let max = c;
+
+		for (let r = c + 1; r < size; r += 1) {
+			if (abs(u[r + col]) > abs(u[max + col])) max = r;
+		}
+
+		if (max !== c) {
+			for (let k = 0; k < size; k += 1) {
+				const index = c + k * size, other = max + k * size;
+
+				[u[index], u[other]] = [u[other], u[index]];
+
+				if (k < c) [l[index], l[other]] = [l[other], l[index]];
+			}
+
+			[p[c], p[max]] = [p[max], p[c]];
+		}
+
+		if (abs(u[c + col]) <= tolerance) {
+			for (let r = c; r < size; r += 1) u[r + col] = 0.0;
+
+			continue;
+		}
+
+		for (let r = c + 1; r < size; r += 1) {
+			const f = u[r + col] / u[c + col];
+
+			l[r + col] = f;
+			u[r + col] = 0.0;
+
+			for (let k = c + 1; k < size; k += 1) u[r + k * size] -= u[c + k * size] * f;
+		}
+	}
+
+	return [l, u, p];
+};
+
+/**
+ * Returns the solution x of l*u*x=p*b
+ * Returns null if u is singular
+ * @param {number[]} l - The unit lower triangular matrix
+ * @param {number[]} u - The upper triangular matrix
+ * @param {int[]} p - The row permutation
+ * @param {number[]} b - The right-hand side
+ * @param {int} size - The number of rows and columns
+ * @returns {number[]|null}
+ */
+Decomposition.luSolve = function(l, u, p, b, size) {
+	const x = [];
+
+	for (let r = 0; r < size; r += 1) {
+		let sum = b[p[r]];
+
+		for (let c = 0; c < r; c += 1) sum -= l[r + c * size] * x[c];
+
+		x.push(sum);
+	}
+
+	for (let r = size - 1; r > -1; r -= 1) {
+		const d = u[r + r * size];
+
+		if (d === 0.0) return null;
+
+		let sum = x[r];
+
+		for (let c = r + 1; c < size; c += 1) sum -= u[r + c * size] * x[c];
+
+		x[r] = sum / d;
+	}
+
+	return x;
+};
+
+/**
+ * Returns the inverse of matrix a decomposed into p*a=l*u
+ * Returns null if u is singular
+ * @param {number[]} l - The unit lower triangular matrix
+ * @param {number[]} u - The upper triangular matrix
+ * @param {int[]} p - The row permutation
+ * @param {int} size - The number of rows and columns
+ * @returns {number[]|null}
+ */
+Decomposition.luInverse = function(l, u, p, size) {
+	let res = [];
+
+	for (let c = 0; c < size; c += 1) {
+		const e = new Array(size).fill(0.0);
+
+		e[c] = 1.0;
+
+		const x = Decomposition.luSolve(l, u, p, e, size);
+
+		if (x === null) return null;
+
+		res = res.concat(x);
+	}
+
+	return res;
+};
+
+/**
+ * Returns the solution x of a*x=b
+ * Using the LU decomposition with partial pivoting of a
+ * Throws an Error if a is singular, if the condition number of a exceeds {@link MAX_CONDITION} or if a has NaN components
+ * @param {number[]} a - The matrix
+ * @param {number[]} b - The right-hand side
+ * @param {int} size - The number of rows and columns
+ * @returns {number[]}
+ */
+Decomposition.solve = function(a, b, size) {
+	const [l, u, p] = Decomposition.lu(a, size);
+	const condition = _condition(a, l, u, p, size);
+
+	if (condition === Infinity) throw new Error("Singular system");
+
+	if (Number.isNaN(condition)) throw new Error("Invalid system, matrix components are not numbers");
+
+	if (condition > MAX_CONDITION) throw new Error(`Ill-conditioned system, condition number ${ condition.toExponential(3) }`);
+
+	return Decomposition.luSolve(l, u, p, b, size);
+};
+
+/**
+ * Returns the condition number of matrix a in the 1-norm (|a|*|a^-1|)
+ * Returns Infinity if a is singular, NaN if a has NaN components
+ * @param {number[]} a - The matrix
+ * @param {int} size - The number of rows and columns
+ * @returns {number}
+ */
+Decomposition.condition = function(a, size) {
+	const [l, u, p] = Decomposition.lu(a, size);
+
+	return _condition(a, l, u, p, size);
+};
+
+/**
+ * Returns the QR decomposition of matrix a (a=q*r)
+ * Using householder reflections
+ * @param {number[]} a - The matrix
+ * @param {int} size - The number of rows and columns
+ * @returns {Array} [q {number[]}, r {number[]}] - The orthonormal matrix and the upper triangular matrix
+ */
+Decomposition.qr = function(a, size) {
+	const r = a.slice(0), q = _identity(size);
+
+	for (let c = 0; c < size - 1; c += 1) {
+		const col = c * size, v = [];
+		let norm = 0.0;
+
+		for (let i = c; i < size; i += 1) norm += r[i + col] * r[i + col];
+
+		norm = Math.sqrt(norm);
+
+		if (norm === 0.0) continue;
+
+		const alpha = r[c + col] > 0.0 ? -norm : norm;
+
+		for (let i = 0; i < size; i += 1) v.push(i < c ? 0.0 : r[i + col]);
+
+		v[c] -= alpha;
+
+		const vv = alpha * alpha - alpha * r[c + col] * 2.0 + norm * norm;
+
+		if (vv === 0.0) continue;
+
+		for (let k = 0; k < size; k += 1) {
+			const kcol = k * size;
+			let dr = 0.0, dq = 0.0;
+
+			for (let i = c; i < size; i += 1) dr += v[i] * r[i + kcol], dq += v[i] * q[k + i * size];
+
+			dr *= 2.0 / vv, dq *= 2.0 / vv;
+
+			for (let i = c; i < size; i += 1) r[i + kcol] -= v[i] * dr, q[k + i * size] -= v[i] * dq;
+		}
+
+		for (let i = c + 1; i < size; i += 1) r[i + col] = 0.0;
+	}
+
+	return [q, r];
+};
+
+/**
+ * Returns the cholesky decomposition of symmetric matrix a (a=l*l')
+ * Returns null if a is not positive-definite
+ * @param {number[]} a - The matrix
+ * @param {int} size - The number of rows and columns
+ * @returns {number[]|null} - The lower triangular matrix
+ */
+Decomposition.cholesky = function(a, size) {
+	const l = new Array(size * size).fill(0.0);
+
+	for (let c = 0; c < size; c += 1) {
+		const col = c * size;
+		let d = a[c + col];
+
+		for (let k = 0; k < c; k += 1) d -= l[c + k * size] * l[c + k * size];
+
+		if (d <= 0.0) return null;
+
+		d = Math.sqrt(d);
+		l[c + col] = d;
+
+		for (let r = c + 1; r < size; r += 1) {
+			let sum = a[r + col];
+
+			for (let k = 0; k < c; k += 1) sum -= l[r + k * size] * l[c + k * size];
+
+			l[r + col] = sum / d;
+		}
+	}
+
+	return l;
+};
+
+/**
+ * Returns the eigendecomposition of symmetric matrix a (a=v*diag(values)*v')
+ * Using cyclic jacobi rotations - the eigenvalues are sorted in descending order
+ * @param {number[]} a - The matrix
+ * @param {int} size - The number of rows and columns
+ * @returns {Array} [values {number[]}, v {number[]}] - The eigenvalues and the orthonormal matrix of the corresponding eigenvectors
+ */
+Decomposition.jacobi = function(a, size) {
+	const m = a.slice(0), v = _identity(size), abs = Math.abs;
+
+	for (let sweep = 0; sweep < 50; sweep += 1) {
+		let off = 0.0, diag = 0.0;
+
+		for (let c = 0; c < size; c += 1) {
+			diag += m[c + c * size] * m[c + c * size];
+
+			for (let r = c + 1; r < size; r += 1) off += m[r + c * size] * m[r + c * size];
+		}
+
+		if (off <= diag * 1.0e-30) break;
+
+		for (let p = 0; p < size - 1; p += 1) {
+			for (let q = p + 1; q < size; q += 1) {
+				const apq = m[p + q * size];
+
+				if (apq === 0.0) continue;
+
+				const theta = (m[q + q * size] - m[p + p * size]) / (2.0 * apq);
+				const t = (theta < 0.0 ? -1.0 : 1.0) / (abs(theta) + Math.sqrt(theta * theta + 1.0));
+				const cos = 1.0 / Math.sqrt(t * t + 1.0), sin = t * cos;
+
+				for (let k = 0; k < size; k += 1) {
+					const kp = m[k + p * size], kq = m[k + q * size];
+
+					m[k + p * size] = cos * kp - sin * kq;
+					m[k + q * size] = sin * kp + cos * kq;
+				}
+
+				for (let k = 0; k < size; k += 1) {
+					const pk = m[p + k * size], qk = m[q + k * size];
+
+					m[p + k * size] = cos * pk - sin * qk;
+					m[q + k * size] = sin * pk + cos * qk;
+
+					const vp = v[k + p * size], vq = v[k + q * size];
+
+					v[k + p * size] = cos * vp - sin * vq;
+					v[k + q * size] = sin * vp + cos * vq;
+				}
+			}
+		}
+	}
+
+	const order = [];
+
+	for (let i = 0; i < size; i += 1) order.push(i);
+
+	order.sort((i, j) => m[j + j * size] - m[i + i * size]);
+
+	const values = [], vectors = [];
+
+	for (let i = 0; i < size; i += 1) {
+		const col = order[i] * size;
+
+		values.push(m[col + order[i]]);
+
+		for (let k = 0; k < size; k += 1) vectors.push(v[col + k]);
+	}
+
+	return [values, vectors];
+};
+
+
+
+export default Decomposition;
+
+
+
+/**
+ * Returns the identity matrix
+ * @private
+ * @param {int} size - The number of rows and columns
+ * @returns {number[]}
+ */
+function _identity(size) {
+	const res = new Array(size * size).fill(0.0);
+
+	for (let i = 0; i < size; i += 1) res[i * (size + 1)] = 1.0;
+
+	return res;
+}
+
+/**
+ * Returns the 1-norm of matrix a, the maximal absolute column sum
+ * @private
+ * @param {number[]} a - The matrix
+ * @param {int} size - The number of rows and columns
+ * @returns {number}
+ */
+function _norm1(a, size) {
+	let res = 0.0;
+
+	for (let c = 0; c < size; c += 1) {
+		let sum = 0.0;
+
+		for (let r = 0; r < size; r += 1) sum += Math.abs(a[r + c * size]);
+
+		res = Math.max(res, sum);
+	}
+
+	return res;
+}
+
+/**
+ * Returns the condition number of matrix a in the 1-norm
+ * @private
+ * @param {number[]} a - The matrix
+ * @param {number[]} l - The unit lower triangular matrix
+ * @param {number[]} u - The upper triangular matrix
+ * @param {int[]} p - The row permutation
+ * @param {int} size - The number of rows and columns
+ * @returns {number}
+ */
+function _condition(a, l, u, p, size) {
+	const inverse = Decomposition.luInverse(l, u, p, size);
+
+	return inverse !== null ? _norm1(a, size) * _norm1(inverse, size) : Infinity;
+}
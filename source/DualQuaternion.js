@@ -0,0 +1,474 @@
+import Vector3 from './Vector3';
+import Vector4 from './Vector4';
+import Matrix3 from './Matrix3';
+import Matrix4 from './Matrix4';
+
+
+
+/**
+ * Dual quaternion
+ * Unit instances represent rigid transforms, the rotation real followed by the translation 2*dual*real'
+ */
+export default class DualQuaternion {
+
+	/**
+	 * Returns a unit instance of rotation q followed by translation v
+	 * @param {Vector4} q - The rotation <em>unit quaternion</em>
+	 * @param {Vector3} v - The translation
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static RotationTranslation(q, v, target) {
+		const real = Vector4.Copy(q);
+		const dual = new Vector4([
+			v.n[0] * 0.5,
+			v.n[1] * 0.5,
+			v.n[2] * 0.5,
+			0.0
+		]);
+
+		dual.multiply(q, dual);
+
+		if (target === undefined) target = new DualQuaternion(real, dual);
+		else target.define(real, dual);
+
+		return target;
+	}
+
+	/**
+	 * Returns a unit instance of rigid transform m
+	 * The rotation of m is assumed to be orthonormal
+	 * @param {Matrix4} m - The source
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static Matrix4(m, target) {
+		const q = Vector4.Matrix3(Matrix3.Matrix4(m)).normalize();
+
+		return DualQuaternion.RotationTranslation(q, new Vector3(m.n.slice(12, 15)), target);
+	}
+
+
+	/**
+	 * Returns the screw linear interpolation of a and b
+	 * Interpolates along the shortest path, with constant rotational and translational velocity
+	 * @param {DualQuaternion} a - The starting <em>unit dual quaternion</em>
+	 * @param {DualQuaternion} b - The ending <em>unit dual quaternion</em>
+	 * @param {number} t - The interpolation factor
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static ScLERP(a, b, t, target) {
+		const diff = DualQuaternion.Multiply(b, DualQuaternion.Conjugate(a));
+
+		if (Vector4.dot(a.real, b.real) < 0.0) diff.multiplyScalarEQ(-1.0);
+
+		return DualQuaternion.Multiply(diff.powerOf(diff, t), a, target);
+	}
+
+	/**
+	 * Returns the dual quaternion linear blend of instances
+	 * Using the method of Ladislav Kavan et al. - instances are aligned to the hemisphere of the first instance
+	 * @param {DualQuaternion[]} instances - The <em>unit dual quaternions</em>
+	 * @param {number[]} weights - The weights
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static DLB(instances, weights, target) {
+		const real = new Vector4([
+			0.0,
+			0.0,
+			0.0,
+			0.0
+		]);
+		const dual = new Vector4([
+			0.0,
+			0.0,
+			0.0,
+			0.0
+		]);
+
+		for (let i = 0, l = instances.length; i < l; i += 1) {
+			const q = instances[i];
+			let w = weights[i];
+
+			if (Vector4.dot(instances[0].real, q.real) < 0.0) w = -w;
+
+			real.addEQ(Vector4.MultiplyScalar(q.real, w));
+			dual.addEQ(Vector4.MultiplyScalar(q.dual, w));
+		}
+
+		if (target === undefined) target = new DualQuaternion(real, dual);
+		else target.define(real, dual);
+
+		return target.normalize();
+	}
+
+
+	/**
+	 * Returns the scalar product of q and n
+	 * @param {DualQuaternion} q - The dual quaternion
+	 * @param {number} n - The scalar
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static MultiplyScalar(q, n, target) {
+		return (target === undefined ? new DualQuaternion() : target).multiplyScalar(q, n);
+	}
+
+	/**
+	 * Returns the product of q and r (q*r)
+	 * Matching {@link Vector4.Multiply}, the transform of the result is the transform of q followed by the transform of r
+	 * @param {DualQuaternion} q - The first dual quaternion
+	 * @param {DualQuaternion} r - The second dual quaternion
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static Multiply(q, r, target) {
+		return (target === undefined ? new DualQuaternion() : target).multiply(q, r);
+	}
+
+	/**
+	 * Returns the normal form of q
+	 * @param {DualQuaternion} q - The source
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static Normalize(q, target) {
+		return (target === undefined ? new DualQuaternion() : target).normalizationOf(q);
+	}
+
+	/**
+	 * Returns the quaternion conjugate of q (real',dual')
+	 * The quaternion conjugate of unit instances is the inverse transform
+	 * @param {DualQuaternion} q - The source
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static Conjugate(q, target) {
+		return (target === undefined ? new DualQuaternion() : target).conjugateOf(q);
+	}
+
+	/**
+	 * Returns the dual number conjugate of q (real,-dual)
+	 * @param {DualQuaternion} q - The source
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static ConjugateDual(q, target) {
+		return (target === undefined ? new DualQuaternion() : target).conjugateDualOf(q);
+	}
+
+	/**
+	 * Returns the combined conjugate of q (real',-dual')
+	 * @param {DualQuaternion} q - The source
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static ConjugateCombined(q, target) {
+		return (target === undefined ? new DualQuaternion() : target).conjugateCombinedOf(q);
+	}
+
+	/**
+	 * Returns q raised to the power of t (q^t)
+	 * @param {DualQuaternion} q - The source <em>unit dual quaternion</em>
+	 * @param {number} t - The exponent
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static Power(q, t, target) {
+		return (target === undefined ? new DualQuaternion() : target).powerOf(q, t);
+	}
+
+	/**
+	 * Returns a copy of q
+	 * @param {DualQuaternion} q - The source
+	 * @param {DualQuaternion} [target] - The target instance
+	 * @returns {DualQuaternion}
+	 */
+	static Copy(q, target) {
+		return (target === undefined ? new DualQuaternion() : target).copyOf(q);
+	}
+
+
+	/**
+	 * Returns true if q and r are equal, false otherwise (q==r)
+	 * @param {DualQuaternion} q - The protagonist
+	 * @param {DualQuaternion} r - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(q, r) {
+		return q === r || Vector4.isEQ(q.real, r.real) && Vector4.isEQ(q.dual, r.dual);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Vector4} [real] - The real part
+	 * @param {Vector4} [dual] - The dual part
+	 * Omitting the parts will return the identity transform
+	 */
+	constructor(real, dual) {
+		this.define(real, dual);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Vector4} [real] - The real part
+	 * @param {Vector4} [dual] - The dual part
+	 * Omitting the parts will return the identity transform
+	 * @returns {DualQuaternion}
+	 */
+	define(real, dual) {
+		/**
+		 * The real part, the rotation of unit instances
+		 * @type {Vector4}
+		 */
+		this.real = real !== undefined ? real : new Vector4();
+
+		/**
+		 * The dual part
+		 * @type {Vector4}
+		 */
+		this.dual = dual !== undefined ? dual : new Vector4([
+			0.0,
+			0.0,
+			0.0,
+			0.0
+		]);
+
+		return this;
+	}
+
+
+	/**
+	 * The translation of unit instances (2*dual*real')
+	 * @type {Vector3}
+	 */
+	get translation() {
+		const r = this.real.n, d = this.dual.n;
+		const rx = r[0], ry = r[1], rz = r[2], rw = r[3];
+		const dx = d[0], dy = d[1], dz = d[2], dw = d[3];
+
+		return new Vector3([
+			2.0 * (rw * dx - dw * rx + dz * ry - dy * rz),
+			2.0 * (rw * dy - dw * ry + dx * rz - dz * rx),
+			2.0 * (rw * dz - dw * rz + dy * rx - dx * ry)
+		]);
+	}
+
+
+	/**
+	 * The scalar product of q and n
+	 * @param {DualQuaternion} q - The dual quaternion
+	 * @param {number} n - The scalar
+	 * @returns {DualQuaternion}
+	 */
+	multiplyScalar(q, n) {
+		this.real = Vector4.MultiplyScalar(q.real, n);
+		this.dual = Vector4.MultiplyScalar(q.dual, n);
+
+		return this;
+	}
+
+	/**
+	 * The product of q and r (q*r)
+	 * Matching {@link Vector4#multiply}, the transform of the result is the transform of q followed by the transform of r
+	 * @param {DualQuaternion} q - The first dual quaternion
+	 * @param {DualQuaternion} r - The second dual quaternion
+	 * @returns {DualQuaternion}
+	 */
+	multiply(q, r) {
+		const real = Vector4.Multiply(q.real, r.real);
+		const dual = Vector4.Multiply(q.real, r.dual).addEQ(Vector4.Multiply(q.dual, r.real));
+
+		this.real = real;
+		this.dual = dual;
+
+		return this;
+	}
+
+
+	/**
+	 * The scalar product of the instance and n
+	 * @param {number} n - The scalar
+	 * @returns {DualQuaternion}
+	 */
+	multiplyScalarEQ(n) {
+		return this.multiplyScalar(this, n);
+	}
+
+	/**
+	 * The product of the instance and q
+	 * @param {DualQuaternion} q - The second dual quaternion
+	 * @returns {DualQuaternion}
+	 */
+	multiplyEQ(q) {
+		return this.multiply(this, q);
+	}
+
+
+	/**
+	 * The normal form of q
+	 * The real part of the result is a unit quaternion orthogonal to the dual part
+	 * @param {DualQuaternion} q - The source
+	 * @returns {DualQuaternion}
+	 */
+	normalizationOf(q) {
+		const norm = q.real.norm;
+
+		if (norm === 0.0) return this.copyOf(q);
+
+		const real = Vector4.MultiplyScalar(q.real, 1.0 / norm);
+		const dual = Vector4.MultiplyScalar(q.dual, 1.0 / norm);
+
+		this.real = real;
+		this.dual = dual.subtractEQ(Vector4.MultiplyScalar(real, Vector4.dot(real, dual)));
+
+		return this;
+	}
+
+	/**
+	 * The quaternion conjugate of q (real',dual')
+	 * @param {DualQuaternion} q - The source
+	 * @returns {DualQuaternion}
+	 */
+	conjugateOf(q) {
+		this.real = Vector4.Conjugate(q.real);
+		this.dual = Vector4.Conjugate(q.dual);
+
+		return this;
+	}
+
+	/**
+	 * The dual number conjugate of q (real,-dual)
+	 * @param {DualQuaternion} q - The source
+	 * @returns {DualQuaternion}
+	 */
+	conjugateDualOf(q) {
+		this.real = Vector4.Copy(q.real);
+		this.dual = Vector4.MultiplyScalar(q.dual, -1.0);
+
+		return this;
+	}
+
+	/**
+	 * The combined conjugate of q (real',-dual')
+	 * @param {DualQuaternion} q - The source
+	 * @returns {DualQuaternion}
+	 */
+	conjugateCombinedOf(q) {
+		this.real = Vector4.Conjugate(q.real);
+		this.dual = Vector4.Conjugate(q.dual).multiplyScalarEQ(-1.0);
+
+		return this;
+	}
+
+	/**
+	 * q raised to the power of t (q^t)
+	 * The power of unit instances is the screw motion around the same axis with rotation and translation scaled by t
+	 * @param {DualQuaternion} q - The source <em>unit dual quaternion</em>
+	 * @param {number} t - The exponent
+	 * @returns {DualQuaternion}
+	 */
+	powerOf(q, t) {
+		const r = q.real.n, d = q.dual.n;
+		const rx = r[0], ry = r[1], rz = r[2], rw = r[3];
+		const norm = Math.sqrt(rx * rx + ry * ry + rz * rz);
+
+		if (norm < 1.0e-10) {
+			const dual = Vector4.MultiplyScalar(q.dual, rw < 0.0 ? -t : t);
+
+			dual.n[3] = 0.0;
+
+			return this.define(new Vector4(), dual);
+		}
+
+		const f = 1.0 / norm, x = rx * f, y = ry * f, z = rz * f;
+		const pitch = -2.0 * d[3] * f, h = 0.5 * pitch * rw;
+		const mx = (d[0] - x * h) * f, my = (d[1] - y * h) * f, mz = (d[2] - z * h) * f;
+
+		const a = Math.atan2(norm, rw) * t, p = 0.5 * pitch * t;
+		const sin = Math.sin(a), cos = Math.cos(a);
+
+		this.real = new Vector4([
+			x * sin,
+			y * sin,
+			z * sin,
+			cos
+		]);
+
+		this.dual = new Vector4([
+			mx * sin + x * p * cos,
+			my * sin + y * p * cos,
+			mz * sin + z * p * cos,
+			-p * sin
+		]);
+
+		return this;
+	}
+
+	/**
+	 * The copy of q
+	 * @param {DualQuaternion} q - The source
+	 * @returns {DualQuaternion}
+	 */
+	copyOf(q) {
+		this.real = Vector4.Copy(q.real);
+		this.dual = Vector4.Copy(q.dual);
+
+		return this;
+	}
+
+
+	/**
+	 * The normal form of the instance
+	 * @returns {DualQuaternion}
+	 */
+	normalize() {
+		return this.normalizationOf(this);
+	}
+
+	/**
+	 * The quaternion conjugate of the instance
+	 * The quaternion conjugate of unit instances is the inverse transform
+	 * @returns {DualQuaternion}
+	 */
+	conjugate() {
+		return this.conjugateOf(this);
+	}
+
+
+	/**
+	 * Returns the transform of p by the instance
+	 * The instance is assumed to be a unit dual quaternion
+	 * @param {Vector3} p - The point
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	transformVector3(p, target) {
+		return Vector3.MultiplyVector4(this.real, p, target).addEQ(this.translation);
+	}
+
+	/**
+	 * Returns the Matrix4 representation of the instance
+	 * The instance is assumed to be a unit dual quaternion
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	toMatrix4(target) {
+		return Matrix4.Multiply3x4Matrix3(Matrix4.Translation(this.translation), Matrix3.Vector4(this.real), target);
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		return `[DualQuaternion](${ this.real.toString(digits) } ${ this.dual.toString(digits) })`;
+	}
+}
@@ -0,0 +1,317 @@
+import Vector2 from './Vector2';
+import Vector3 from './Vector3';
+import Vector4 from './Vector4';
+import Matrix2 from './Matrix2';
+import Matrix3 from './Matrix3';
+import Matrix4 from './Matrix4';
+import Ray3 from './Ray3';
+import Plane3 from './Plane3';
+import Sphere3 from './Sphere3';
+
+
+
+/**
+ * Least squares fitting of primitives to points
+ * The residual of all fits is the root mean square of the distances between the points and the fitted primitive
+ */
+const Fit = {};
+
+
+
+/**
+ * Returns the orthogonal least squares line through points
+ * Using the principal axis of the covariance of points
+ * @param {Vector2[]} points - The points, at least two
+ * @returns {Array} [origin {Vector2}, direction {Vector2}, residual {number}] - The centroid, the unit direction and the residual
+ */
+Fit.line2 = function(points) {
+	const [centroid, covariance] = _covariance2(points);
+	const [, vectors] = covariance.eigen();
+	const direction = new Vector2(vectors.n.slice(0, 2));
+	const normal = new Vector2(vectors.n.slice(2, 4));
+
+	return [centroid, direction, _rms(points, p => Vector2.dot(normal, Vector2.Subtract(p, centroid)))];
+};
+
+/**
+ * Returns the orthogonal least squares line through points
+ * Using the principal axis of the covariance of points
+ * @param {Vector3[]} points - The points, at least two
+ * @returns {Array} [line {Ray3}, residual {number}] - The line originating at the centroid and the residual
+ */
+Fit.line3 = function(points) {
+	const [centroid, covariance] = _covariance3(points);
+	const [, vectors] = covariance.eigen();
+	const direction = new Vector3(vectors.n.slice(0, 3));
+
+	const residual = _rms(points, p => {
+		const v = Vector3.Subtract(p, centroid);
+
+		return v.subtractEQ(Vector3.MultiplyScalar(direction, Vector3.dot(direction, v))).norm;
+	});
+
+	return [new Ray3(centroid, direction), residual];
+};
+
+/**
+ * Returns the orthogonal least squares plane through points
+ * Using the eigenvector of the smallest eigenvalue of the covariance of points as normal
+ * @param {Vector3[]} points - The points, at least three
+ * @returns {Array} [plane {Plane3}, residual {number}] - The plane and the residual
+ */
+Fit.plane3 = function(points) {
+	const [centroid, covariance] = _covariance3(points);
+	const [, vectors] = covariance.eigen();
+	const plane = Plane3.Vector3(new Vector3(vectors.n.slice(6, 9)), centroid);
+
+	return [plane, _rms(points, p => plane.distance(p))];
+};
+
+/**
+ * Returns the least squares circle through points
+ * Using the normal equations of the algebraic fit x*x+y*y=2*cx*x+2*cy*y+r*r-cx*cx-cy*cy of points centered on their centroid and scaled by their root mean square distance
+ * Throws an Error if points are colinear
+ * @param {Vector2[]} points - The points, at least three
+ * @returns {Array} [center {Vector2}, radius {number}, residual {number}] - The center, the radius and the residual
+ */
+Fit.circle2 = function(points) {
+	const [centroid] = _covariance2(points), a = new Array(9).fill(0.0), b = new Array(3).fill(0.0);
+	const scale = _rms(points, p => Vector2.Subtract(p, centroid).norm) || 1.0, f = 1.0 / scale;
+
+	for (let i = 0, l = points.length; i < l; i += 1) {
+		const pn = Vector2.Subtract(points[i], centroid).n, x = pn[0] * f, y = pn[1] * f;
+		const row = [x, y, 1.0], d = x * x + y * y;
+
+		for (let c = 0; c < 3; c += 1) {
+			for (let r = 0; r < 3; r += 1) a[c * 3 + r] += row[r] * row[c];
+
+			b[c] += row[c] * d;
+		}
+	}
+
+	const [x, y, z] = Vector3.Solve(new Matrix3(a), new Vector3(b)).n;
+	const offset = new Vector2([x * 0.5, y * 0.5]);
+	const radius = Math.sqrt(Math.max(z + offset.normSquared, 0.0)) * scale;
+	const center = offset.multiplyScalarEQ(scale).addEQ(centroid);
+
+	return [center, radius, _rms(points, p => Vector2.Subtract(p, center).norm - radius)];
+};
+
+/**
+ * Returns the least squares sphere through points
+ * Using the normal equations of the algebraic fit x*x+y*y+z*z=2*cx*x+2*cy*y+2*cz*z+r*r-cx*cx-cy*cy-cz*cz of points centered on their centroid and scaled by their root mean square distance
+ * Throws an Error if points are coplanar
+ * @param {Vector3[]} points - The points, at least four
+ * @returns {Array} [sphere {Sphere3}, residual {number}] - The sphere and the residual
+ */
+Fit.sphere3 = function(points) {
+	const [centroid] = _covariance3(points), a = new Array(16).fill(0.0), b = new Array(4).fill(0.0);
+	const scale = _rms(points, p => Vector3.Subtract(p, centroid).norm) || 1.0, f = 1.0 / scale;
+
+	for (let i = 0, l = points.length; i < l; i += 1) {
+		const pn = Vector3.Subtract(points[i], centroid).n, x = pn[0] * f, y = pn[1] * f, z = pn[2] * f;
+		const row = [
+			x,
+			y,
+			z,
+			1.0
+		];
+		const d = x * x + y * y + z * z;
+
+		for (let c = 0; c < 4; c += 1) {
+			for (let r = 0; r < 4; r += 1) a[c * 4 + r] += row[r] * row[c];
+
+			b[c] += row[c] * d;
+		}
+	}
+
+	const [x, y, z, w] = Vector4.Solve(new Matrix4(a), new Vector4(b)).n;
+	const offset = new Vector3([x * 0.5, y * 0.5, z * 0.5]);
+	const radius = Math.sqrt(Math.max(w + offset.normSquared, 0.0)) * scale;
+	const sphere = new Sphere3(offset.multiplyScalarEQ(scale).addEQ(centroid), radius);
+
+	return [sphere, _rms(points, p => sphere.distance(p))];
+};
+
+/**
+ * Returns the least squares 2x3 affine transform mapping the points of source onto the corresponding points of destination
+ * Using the normal equations of the centered points, three correspondences will return the exact transform, see {@link Matrix3.Affine2x3}
+ * Throws an Error if the source points are colinear
+ * @param {Vector2[]} source - The source points, at least three
+ * @param {Vector2[]} destination - The destination points, corresponding by index
+ * @returns {Array} [transform {Matrix3}, residual {number}] - The transform and the residual
+ */
+Fit.affine2x3 = function(source, destination) {
+	const l = Math.min(source.length, destination.length), points = source.slice(0, l);
+	const [from] = _covariance2(points), [to] = _covariance2(destination.slice(0, l));
+	const [a, b] = _normalEquations(points, destination, from, to, 2);
+	const m = new Matrix2(a), x = Vector2.Solve(m, new Vector2(b[0])).n, y = Vector2.Solve(m, new Vector2(b[1])).n;
+
+	const linear = new Matrix2([
+		x[0],
+		y[0],
+		x[1],
+		y[1]
+	]);
+
+	const t = Vector2.Subtract(to, Vector2.MultiplyMatrix2(linear, from));
+	const transform = Matrix3.Vector2(new Vector2(linear.n.slice(0, 2)), new Vector2(linear.n.slice(2, 4)), t);
+
+	return [transform, _rms(points, (p, i) => Vector2.Multiply2x3Matrix3(transform, p).subtractEQ(destination[i]).norm)];
+};
+
+/**
+ * Returns the least squares 3x4 affine transform mapping the points of source onto the corresponding points of destination
+ * Using the normal equations of the centered points, four correspondences will return the exact transform, see {@link Matrix4.Affine3x4}
+ * Throws an Error if the source points are coplanar
+ * @param {Vector3[]} source - The source points, at least four
+ * @param {Vector3[]} destination - The destination points, corresponding by index
+ * @returns {Array} [transform {Matrix4}, residual {number}] - The transform and the residual
+ */
+Fit.affine3x4 = function(source, destination) {
+	const l = Math.min(source.length, destination.length), points = source.slice(0, l);
+	const [from] = _covariance3(points), [to] = _covariance3(destination.slice(0, l));
+	const [a, b] = _normalEquations(points, destination, from, to, 3);
+	const m = new Matrix3(a);
+	const x = Vector3.Solve(m, new Vector3(b[0])).n, y = Vector3.Solve(m, new Vector3(b[1])).n, z = Vector3.Solve(m, new Vector3(b[2])).n;
+
+	const linear = new Matrix3([
+		x[0],
+		y[0],
+		z[0],
+		x[1],
+		y[1],
+		z[1],
+		x[2],
+		y[2],
+		z[2]
+	]);
+
+	const t = Vector3.Subtract(to, Vector3.MultiplyMatrix3(linear, from)), ln = linear.n;
+	const transform = Matrix4.Vector3(new Vector3(ln.slice(0, 3)), new Vector3(ln.slice(3, 6)), new Vector3(ln.slice(6, 9)), t);
+
+	return [transform, _rms(points, (p, i) => Vector3.Multiply3x4Matrix4(transform, p).subtractEQ(destination[i]).norm)];
+};
+
+
+
+export default Fit;
+
+
+
+/**
+ * Returns the centroid and the covariance of points
+ * @private
+ * @param {Vector2[]} points - The points
+ * @returns {Array} [centroid {Vector2}, covariance {Matrix2}]
+ */
+function _covariance2(points) {
+	const l = points.length, centroid = new Vector2([0.0, 0.0]);
+	let xx = 0.0, xy = 0.0, yy = 0.0;
+
+	for (let i = 0; i < l; i += 1) centroid.addEQ(points[i]);
+
+	centroid.multiplyScalarEQ(1.0 / l);
+
+	for (let i = 0; i < l; i += 1) {
+		const v = Vector2.Subtract(points[i], centroid).n;
+
+		xx += v[0] * v[0], xy += v[0] * v[1], yy += v[1] * v[1];
+	}
+
+	const n = [
+		xx,
+		xy,
+		xy,
+		yy
+	];
+
+	return [centroid, new Matrix2(n)];
+}
+
+/**
+ * Returns the centroid and the covariance of points
+ * @private
+ * @param {Vector3[]} points - The points
+ * @returns {Array} [centroid {Vector3}, covariance {Matrix3}]
+ */
+function _covariance3(points) {
+	const l = points.length, centroid = new Vector3([0.0, 0.0, 0.0]);
+	let xx = 0.0, xy = 0.0, xz = 0.0, yy = 0.0, yz = 0.0, zz = 0.0;
+
+	for (let i = 0; i < l; i += 1) centroid.addEQ(points[i]);
+
+	centroid.multiplyScalarEQ(1.0 / l);
+
+	for (let i = 0; i < l; i += 1) {
+		const v = Vector3.Subtract(points[i], centroid).n;
+
+		xx += v[0] * v[0], xy += v[0] * v[1], xz += v[0] * v[2];
+		yy += v[1] * v[1], yz += v[1] * v[2], zz += v[2] * v[2];
+	}
+
+	const n = [
+		xx,
+		xy,
+		xz,
+		xy,
+		yy,
+		yz,
+		xz,
+		yz,
+		zz
+	];
+
+	return [centroid, new Matrix3(n)];
+}
+
+/**
+ * Returns the normal equations of the affine transforms mapping the centered points of source onto the centered points of destination
+ * @private
+ * @param {Vector2[]|Vector3[]} source - The source points
+ * @param {Vector2[]|Vector3[]} destination - The destination points, corresponding by index
+ * @param {Vector2|Vector3} from - The centroid of source
+ * @param {Vector2|Vector3} to - The centroid of destination
+ * @param {int} size - The number of components
+ * @returns {Array} [a {number[]}, b {number[][]}] - The covariance of source and the right-hand sides of each destination component
+ */
+function _normalEquations(source, destination, from, to, size) {
+	const a = new Array(size * size).fill(0.0), b = [], fn = from.n, tn = to.n;
+
+	for (let k = 0; k < size; k += 1) b.push(new Array(size).fill(0.0));
+
+	for (let i = 0, l = source.length; i < l; i += 1) {
+		const sn = source[i].n, dn = destination[i].n;
+
+		for (let c = 0; c < size; c += 1) {
+			const f = sn[c] - fn[c];
+
+			for (let r = 0; r < size; r += 1) {
+				a[c * size + r] += (sn[r] - fn[r]) * f;
+				b[r][c] += (dn[r] - tn[r]) * f;
+			}
+		}
+	}
+
+	return [a, b];
+}
+
+/**
+ * Returns the root mean square of the distances of points
+ * @private
+ * @param {Vector2[]|Vector3[]} points - The points
+ * @param {Function} distance - The signed or unsigned distance of a point, receiving the point and its index
+ * @returns {number}
+ */
+function _rms(points, distance) {
+	const l = points.length;
+	let sum = 0.0;
+
+	for (let i = 0; i < l; i += 1) {
+		const d = distance(points[i], i);
+
+		sum += d * d;
+	}
+
+	return l !== 0 ? Math.sqrt(sum / l) : 0.0;
+}
@@ -0,0 +1,283 @@
+import Vector3 from './Vector3';
+import Vector4 from './Vector4';
+import Plane3 from './Plane3';
+
+
+
+/**
+ * Volumes entirely outside of the frustum
+ * @type {int}
+ */
+export const VOLUME_OUTSIDE = -1;
+/**
+ * Volumes intersecting the boundary of the frustum
+ * @type {int}
+ */
+export const VOLUME_INTERSECT = 0;
+/**
+ * Volumes entirely inside of the frustum
+ * @type {int}
+ */
+export const VOLUME_INSIDE = 1;
+
+
+
+/**
+ * Three dimensional view frustum bounded by six inward facing planes
+ */
+export default class Frustum3 {
+
+	/**
+	 * Returns an instance of view-projection transform m
+	 * @param {Matrix4} m - The source
+	 * @param {Frustum3} [target] - The target instance
+	 * @returns {Frustum3}
+	 */
+	static Matrix4(m, target) {
+		return (target === undefined ? new Frustum3() : target).matrix4Of(m);
+	}
+
+	/**
+	 * Returns a copy of f
+	 * @param {Frustum3} f - The source
+	 * @param {Frustum3} [target] - The target instance
+	 * @returns {Frustum3}
+	 */
+	static Copy(f, target) {
+		return (target === undefined ? new Frustum3() : target).copyOf(f);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Plane3[]} [planes] - The left, right, bottom, top, near and far planes
+	 * Arrays of length !== 6 will return the clip space cube (-1.0,-1.0,-1.0) (1.0,1.0,1.0)
+	 */
+	constructor(planes) {
+		this.define(planes);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Plane3[]} [planes] - The left, right, bottom, top, near and far planes
+	 * Arrays of length !== 6 will return the clip space cube (-1.0,-1.0,-1.0) (1.0,1.0,1.0)
+	 * @returns {Frustum3}
+	 */
+	define(planes) {
+		/**
+		 * The inward facing planes
+		 * Contains the left, right, bottom, top, near and far planes
+		 * @type {Plane3[]}
+		 */
+		this.planes = (planes && planes.length === 6 ? planes : [
+			new Plane3(new Vector3([1.0, 0.0, 0.0]), -1.0),
+			new Plane3(new Vector3([-1.0, 0.0, 0.0]), -1.0),
+			new Plane3(new Vector3([0.0, 1.0, 0.0]), -1.0),
+			new Plane3(new Vector3([0.0, -1.0, 0.0]), -1.0),
+			new Plane3(new Vector3([0.0, 0.0, 1.0]), -1.0),
+			new Plane3(new Vector3([0.0, 0.0, -1.0]), -1.0)
+		]);
+
+		return this;
+	}
+
+
+	/**
+	 * The left plane, {@link Frustum3#planes}[0]
+	 * @type {Plane3}
+	 */
+	get left() {
+		return this.planes[0];
+	}
+
+	/**
+	 * The right plane, {@link Frustum3#planes}[1]
+	 * @type {Plane3}
+	 */
+	get right() {
+		return this.planes[1];
+	}
+
+	/**
+	 * The bottom plane, {@link Frustum3#planes}[2]
+	 * @type {Plane3}
+	 */
+	get bottom() {
+		return this.planes[2];
+	}
+
+	/**
+	 * The top plane, {@link Frustum3#planes}[3]
+	 * @type {Plane3}
+	 */
+	get top() {
+		return this.planes[3];
+	}
+
+	/**
+	 * The near plane, {@link Frustum3#planes}[4]
+	 * @type {Plane3}
+	 */
+	get near() {
+		return this.planes[4];
+	}
+
+	/**
+	 * The far plane, {@link Frustum3#planes}[5]
+	 * @type {Plane3}
+	 */
+	get far() {
+		return this.planes[5];
+	}
+
+
+	/**
+	 * The frustum of view-projection transform m
+	 * Using the method of Gil Gribb and Klaus Hartmann
+	 * Transforms with an infinite far plane will result in a far plane containing all points
+	 * @param {Matrix4} m - The source
+	 * @returns {Frustum3}
+	 */
+	matrix4Of(m) {
+		const n = m.n, planes = this.planes;
+
+		for (let i = 0; i < 3; i += 1) {
+			const x = n[i], y = n[i + 4], z = n[i + 8], w = n[i + 12];
+
+			planes[i * 2].vector4Of(new Vector4([
+				n[3] + x,
+				n[7] + y,
+				n[11] + z,
+				n[15] + w
+			]));
+
+			planes[i * 2 + 1].vector4Of(new Vector4([
+				n[3] - x,
+				n[7] - y,
+				n[11] - z,
+				n[15] - w
+			]));
+		}
+
+		return this;
+	}
+
+	/**
+	 * The copy of f
+	 * @param {Frustum3} f - The source
+	 * @returns {Frustum3}
+	 */
+	copyOf(f) {
+		this.planes = f.planes.map(plane => Plane3.Copy(plane));
+
+		return this;
+	}
+
+
+	/**
+	 * Returns the containment of p
+	 * Returns {@link VOLUME_INSIDE} or {@link VOLUME_OUTSIDE}
+	 * @param {Vector3} p - The point
+	 * @returns {int}
+	 */
+	classifyVector3(p) {
+		const planes = this.planes;
+
+		for (let i = 0; i < 6; i += 1) {
+			if (planes[i].distance(p) < 0.0) return VOLUME_OUTSIDE;
+		}
+
+		return VOLUME_INSIDE;
+	}
+
+	/**
+	 * Returns the containment of s
+	 * Returns {@link VOLUME_INSIDE}, {@link VOLUME_INTERSECT} or {@link VOLUME_OUTSIDE}
+	 * @param {Sphere3} s - The sphere
+	 * @returns {int}
+	 */
+	classifySphere3(s) {
+		const planes = this.planes, center = s.center, radius = s.radius;
+		let res = VOLUME_INSIDE;
+
+		for (let i = 0; i < 6; i += 1) {
+			const d = planes[i].distance(center);
+
+			if (d < -radius) return VOLUME_OUTSIDE;
+
+			if (d < radius) res = VOLUME_INTERSECT;
+		}
+
+		return res;
+	}
+
+	/**
+	 * Returns the containment of b
+	 * Returns {@link VOLUME_INSIDE}, {@link VOLUME_INTERSECT} or {@link VOLUME_OUTSIDE}
+	 * Boxes close to the edges of the instance may be reported as intersecting while being outside
+	 * @param {Box3} b - The box
+	 * @returns {int}
+	 */
+	classifyBox3(b) {
+		const planes = this.planes, min = b.min.n, max = b.max.n;
+		let res = VOLUME_INSIDE;
+
+		for (let i = 0; i < 6; i += 1) {
+			const plane = planes[i], pn = plane.normal.n;
+			const x = pn[0], y = pn[1], z = pn[2];
+
+			const near = (
+				x * (x < 0.0 ? max[0] : min[0]) +
+				y * (y < 0.0 ? max[1] : min[1]) +
+				z * (z < 0.0 ? max[2] : min[2])
+			);
+
+			const far = (
+				x * (x < 0.0 ? min[0] : max[0]) +
+				y * (y < 0.0 ? min[1] : max[1]) +
+				z * (z < 0.0 ? min[2] : max[2])
+			);
+
+			if (far < plane.dist) return VOLUME_OUTSIDE;
+
+			if (near < plane.dist) res = VOLUME_INTERSECT;
+		}
+
+		return res;
+	}
+
+
+	/**
+	 * Returns the eight corners of the instance
+	 * The corners are ordered (left,bottom) (right,bottom) (left,top) (right,top) for the near and far planes
+	 * Corners of infinite planes will be null
+	 * @returns {Vector3[]}
+	 */
+	corners() {
+		const planes = this.planes, res = [];
+
+		for (let i = 0; i < 8; i += 1) {
+			const x = planes[i & 1], y = planes[2 + (i >> 1 & 1)], z = planes[4 + (i >> 2)];
+
+			res.push(z.intersectPlanes(x, y));
+		}
+
+		return res;
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		const str = this.planes
+			.map((item, index, source) => item.toString(digits))
+			.join("\n");
+
+		return `[Frustum3]\n${ str }`;
+	}
+}
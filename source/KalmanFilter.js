@@ -0,0 +1,275 @@
+import VectorN from './VectorN';
+import MatrixN from './MatrixN';
+
+
+
+/**
+ * Linear kalman filter
+ * The model is x'=F*x+B*u+w and z=H*x+v with process noise w~N(0,Q) and measurement noise v~N(0,R)
+ * Vectors and matrices may be given as VectorN/MatrixN or as their fixed size equivalents
+ */
+export default class KalmanFilter {
+
+	/**
+	 * Returns a two dimensional constant velocity model
+	 * The state is (x,y,vx,vy), the measurement is the position (x,y)
+	 * The process noise is modeled as white noise acceleration
+	 * @param {Vector2} position - The initial position
+	 * @param {number} dt - The time step
+	 * @param {number} accelerationVariance - The variance of the acceleration
+	 * @param {number} measurementVariance - The variance of the measured positions
+	 * @param {number} [velocityVariance=1000.0] - The variance of the initial zero velocity
+	 * @param {KalmanFilter} [target] - The target instance
+	 * @returns {KalmanFilter}
+	 */
+	static ConstantVelocity2(position, dt, accelerationVariance, measurementVariance, velocityVariance, target) {
+		return _constantVelocity(2, position, dt, accelerationVariance, measurementVariance, velocityVariance, target);
+	}
+
+	/**
+	 * Returns a three dimensional constant velocity model
+	 * The state is (x,y,z,vx,vy,vz), the measurement is the position (x,y,z)
+	 * The process noise is modeled as white noise acceleration
+	 * @param {Vector3} position - The initial position
+	 * @param {number} dt - The time step
+	 * @param {number} accelerationVariance - The variance of the acceleration
+	 * @param {number} measurementVariance - The variance of the measured positions
+	 * @param {number} [velocityVariance=1000.0] - The variance of the initial zero velocity
+	 * @param {KalmanFilter} [target] - The target instance
+	 * @returns {KalmanFilter}
+	 */
+	static ConstantVelocity3(position, dt, accelerationVariance, measurementVariance, velocityVariance, target) {
+		return _constantVelocity(3, position, dt, accelerationVariance, measurementVariance, velocityVariance, target);
+	}
+
+	/**
+	 * Returns a copy of f
+	 * @param {KalmanFilter} f - The source
+	 * @param {KalmanFilter} [target] - The target instance
+	 * @returns {KalmanFilter}
+	 */
+	static Copy(f, target) {
+		return (target === undefined ? new KalmanFilter() : target).copyOf(f);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {VectorN} [state] - The state x
+	 * @param {MatrixN} [covariance] - The state covariance P
+	 * @param {MatrixN} [transition] - The state transition F
+	 * @param {MatrixN} [observation] - The observation H
+	 * @param {MatrixN} [processNoise] - The process noise covariance Q
+	 * @param {MatrixN} [measurementNoise] - The measurement noise covariance R
+	 * @param {MatrixN} [control] - The control input B
+	 * Omitting the transition and observation will return identities, omitting the noise covariances will return zero matrices
+	 */
+	constructor(state, covariance, transition, observation, processNoise, measurementNoise, control) {
+		this.define(state, covariance, transition, observation, processNoise, measurementNoise, control);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {VectorN} [state] - The state x
+	 * @param {MatrixN} [covariance] - The state covariance P
+	 * @param {MatrixN} [transition] - The state transition F
+	 * @param {MatrixN} [observation] - The observation H
+	 * @param {MatrixN} [processNoise] - The process noise covariance Q
+	 * @param {MatrixN} [measurementNoise] - The measurement noise covariance R
+	 * @param {MatrixN} [control] - The control input B
+	 * Omitting the transition and observation will return identities, omitting the noise covariances will return zero matrices
+	 * The instance stores copies of all arguments
+	 * @returns {KalmanFilter}
+	 */
+	define(state, covariance, transition, observation, processNoise, measurementNoise, control) {
+		/**
+		 * The state x
+		 * @type {VectorN}
+		 */
+		this.state = state !== undefined ? _vectorN(state) : new VectorN();
+
+		const size = this.state.dimension;
+
+		/**
+		 * The state covariance P
+		 * @type {MatrixN}
+		 */
+		this.covariance = covariance !== undefined ? _matrixN(covariance) : new MatrixN(size);
+
+		/**
+		 * The state transition F
+		 * @type {MatrixN}
+		 */
+		this.transition = transition !== undefined ? _matrixN(transition) : new MatrixN(size);
+
+		/**
+		 * The observation H, mapping states to measurements
+		 * @type {MatrixN}
+		 */
+		this.observation = observation !== undefined ? _matrixN(observation) : new MatrixN(size);
+
+		const measurements = this.observation.rows;
+
+		/**
+		 * The process noise covariance Q
+		 * @type {MatrixN}
+		 */
+		this.processNoise = processNoise !== undefined ? _matrixN(processNoise) : MatrixN.Zero(size, size);
+
+		/**
+		 * The measurement noise covariance R
+		 * @type {MatrixN}
+		 */
+		this.measurementNoise = measurementNoise !== undefined ? _matrixN(measurementNoise) : MatrixN.Zero(measurements, measurements);
+
+		/**
+		 * The control input B, null if the model has no control input
+		 * @type {MatrixN|null}
+		 */
+		this.control = control !== undefined ? _matrixN(control) : null;
+
+		return this;
+	}
+
+
+	/**
+	 * The prediction of the next state
+	 * x=F*x+B*u, P=F*P*F'+Q
+	 * @param {VectorN} [u] - The control vector
+	 * @returns {KalmanFilter}
+	 */
+	predict(u) {
+		const f = this.transition;
+
+		this.state.multiplyMatrixN(f, this.state);
+
+		if (u !== undefined && this.control !== null) this.state.addEQ(VectorN.MultiplyMatrixN(this.control, _vectorN(u)));
+
+		this.covariance = MatrixN
+			.Multiply(MatrixN.Multiply(f, this.covariance), MatrixN.Transpose(f))
+			.addEQ(this.processNoise);
+
+		return this;
+	}
+
+	/**
+	 * The correction of the state by measurement z
+	 * Using the joseph form of the covariance update
+	 * Throws an Error if the innovation covariance H*P*H'+R is singular
+	 * @param {VectorN} z - The measurement
+	 * @returns {KalmanFilter}
+	 */
+	update(z) {
+		const h = this.observation, p = this.covariance, r = this.measurementNoise;
+		const pht = MatrixN.Multiply(p, MatrixN.Transpose(h));
+		const inverse = MatrixN.Inverse(MatrixN.Multiply(h, pht).addEQ(r));
+
+		if (inverse === null) throw new Error("Singular innovation covariance");
+
+		const k = MatrixN.Multiply(pht, inverse);
+		const ikh = new MatrixN(p.rows).subtractEQ(MatrixN.Multiply(k, h));
+		const innovation = VectorN.Subtract(_vectorN(z), VectorN.MultiplyMatrixN(h, this.state));
+
+		this.state.addEQ(VectorN.MultiplyMatrixN(k, innovation));
+
+		this.covariance = MatrixN
+			.Multiply(MatrixN.Multiply(ikh, p), MatrixN.Transpose(ikh))
+			.addEQ(MatrixN.Multiply(MatrixN.Multiply(k, r), MatrixN.Transpose(k)));
+
+		return this;
+	}
+
+	/**
+	 * The copy of f
+	 * @param {KalmanFilter} f - The source
+	 * @returns {KalmanFilter}
+	 */
+	copyOf(f) {
+		return this.define(
+			f.state,
+			f.covariance,
+			f.transition,
+			f.observation,
+			f.processNoise,
+			f.measurementNoise,
+			f.control !== null ? f.control : undefined
+		);
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		return `[KalmanFilter]\n${ this.state.toString(digits) }\n${ this.covariance.toString(digits) }`;
+	}
+}
+
+
+
+/**
+ * Returns a VectorN copy of v
+ * @private
+ * @param {VectorN|Vector2|Vector3|Vector4} v - The source
+ * @returns {VectorN}
+ */
+function _vectorN(v) {
+	return v instanceof VectorN ? VectorN.Copy(v) : new VectorN(Array.from(v.n));
+}
+
+/**
+ * Returns a MatrixN copy of m
+ * @private
+ * @param {MatrixN|Matrix2|Matrix3|Matrix4} m - The source
+ * @returns {MatrixN}
+ */
+function _matrixN(m) {
+	if (m instanceof MatrixN) return MatrixN.Copy(m);
+
+	const size = Math.round(Math.sqrt(m.n.length));
+
+	return new MatrixN(size, size, Array.from(m.n));
+}
+
+/**
+ * Returns a constant velocity model of dimension
+ * @private
+ * @param {int} dimension - The number of position components
+ * @param {Vector2|Vector3} position - The initial position
+ * @param {number} dt - The time step
+ * @param {number} accelerationVariance - The variance of the acceleration
+ * @param {number} measurementVariance - The variance of the measured positions
+ * @param {number} [velocityVariance=1000.0] - The variance of the initial zero velocity
+ * @param {KalmanFilter} [target] - The target instance
+ * @returns {KalmanFilter}
+ */
+function _constantVelocity(dimension, position, dt, accelerationVariance, measurementVariance, velocityVariance, target) {
+	const size = dimension * 2, q = accelerationVariance;
+	const state = VectorN.Zero(size).insertEQ(0, position);
+	const covariance = MatrixN.Zero(size, size), transition = new MatrixN(size);
+	const observation = new MatrixN(dimension, size), processNoise = MatrixN.Zero(size, size);
+	const measurementNoise = new MatrixN(dimension).multiplyScalarEQ(measurementVariance);
+
+	velocityVariance = velocityVariance !== undefined ? velocityVariance : 1000.0;
+
+	for (let i = 0; i < dimension; i += 1) {
+		const v = i + dimension;
+
+		covariance.set(i, i, measurementVariance).set(v, v, velocityVariance);
+		transition.set(i, v, dt);
+
+		processNoise
+			.set(i, i, q * dt * dt * dt * dt * 0.25)
+			.set(i, v, q * dt * dt * dt * 0.5)
+			.set(v, i, q * dt * dt * dt * 0.5)
+			.set(v, v, q * dt * dt);
+	}
+
+	if (target === undefined) target = new KalmanFilter();
+
+	return target.define(state, covariance, transition, observation, processNoise, measurementNoise);
+}
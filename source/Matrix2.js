@@ -1,3 +1,8 @@
+import Decomposition from './Decomposition';
+import Components from './Components';
+
+
+
 /**
  * 2x2 transformations
  */
@@ -19,7 +24,7 @@ export default class Matrix2 {
 		];
 
 		if (target === undefined) target = new Matrix2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -37,7 +42,7 @@ export default class Matrix2 {
 		];
 
 		if (target === undefined) target = new Matrix2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -51,10 +56,10 @@ export default class Matrix2 {
 	 */
 	static Vector2(x, y, target) {
 		const xn = x.n, yn = y !== undefined ? y.n : [-xn[1], xn[0]];
-		const n = [].concat(xn, yn);
+		const n = [...xn, ...yn];
 
 		if (target === undefined) target = new Matrix2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -67,12 +72,12 @@ export default class Matrix2 {
 	 * @returns {Matrix2}
 	 */
 	static Matrix3(m, target) {
-		const n = m.n.slice(0, 5);
+		const n = Array.from(m.n.slice(0, 5));
 
 		n.splice(2, 1);
 
 		if (target === undefined) target = new Matrix2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -125,6 +130,19 @@ export default class Matrix2 {
 		return target.inverseOf(m) ? target : null;
 	}
 
+	/**
+	 * Returns the cholesky decomposition of symmetric m (m=L*L')
+	 * Returns null if m is not positive-definite, the lower triangular L otherwise
+	 * @param {Matrix2} m - The source
+	 * @param {Matrix2} [target] - The target instance
+	 * @returns {Matrix2|null}
+	 */
+	static Cholesky(m, target) {
+		if (target === undefined) target = new Matrix2();
+
+		return target.choleskyOf(m) ? target : null;
+	}
+
 	/**
 	 * Returns the transpose of m
 	 * @param {Matrix2} m - The source
@@ -168,7 +186,7 @@ export default class Matrix2 {
 
 	/**
 	 * Creates a new instance
-	 * @param {number[]} [n] - Array representing 2x2 column-major ordered components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing 2x2 column-major ordered components
 	 * Arrays of length !== 4 will return the identity matrix
 	 */
 	constructor(n) {
@@ -177,15 +195,15 @@ export default class Matrix2 {
 		 * The 4 column-major ordered components
 		 * n[0]:n00 n[2]:n01
 		 * n[1]:n10 n[3]:n11
-		 * @type {number[]}
+		 * @type {number[]|Float32Array|Float64Array}
 		 */
-		this.n = (n && n.constructor === Array && n.length === 4 ? n : [1.0, 0.0, 0.0, 1.0]);
+		this.n = (Components.isArray(n, 4) ? n : [1.0, 0.0, 0.0, 1.0]);
 	}
 
 
 	/**
 	 * Redefines the instance
-	 * @param {number[]} [n] - Array representing the 2x2 column-major ordered compoents
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the 2x2 column-major ordered compoents
 	 * Array of length !== 4 will return the identity matrix
 	 * @returns {Matrix2}
 	 */
@@ -256,6 +274,15 @@ export default class Matrix2 {
 		return this.n[0] * this.n[3] - this.n[2] * this.n[1];
 	}
 
+	/**
+	 * The condition number of the instance in the 1-norm (|instance|*|instance^-1|)
+	 * Infinity if the instance is singular relative to its largest absolute component, see {@link Decomposition.lu}
+	 * @type {number}
+	 */
+	get condition() {
+		return Decomposition.condition(this.n, 2);
+	}
+
 
 	/**
 	 * The sum of a and b (a+b)
@@ -335,6 +362,23 @@ export default class Matrix2 {
 		return true;
 	}
 
+	/**
+	 * The cholesky decomposition of symmetric m (m=L*L')
+	 * Beware: method is NOT chainable
+	 * @param {Matrix2} m - The source
+	 * @returns {boolean}
+	 * Returns false if m is not positive-definite, true otherwise
+	 */
+	choleskyOf(m) {
+		const l = Decomposition.cholesky(m.n, 2);
+
+		if (l === null) return false;
+
+		Components.assign(this.n, l);
+
+		return true;
+	}
+
 	/**
 	 * The transpose of m
 	 * @param {Matrix2} m - The source
@@ -343,8 +387,10 @@ export default class Matrix2 {
 	transposeOf(m) {
 		const mn2 = m.n[2];
 
+		this.n[0] = m.n[0];
 		this.n[2] = m.n[1];
 		this.n[1] = mn2;
+		this.n[3] = m.n[3];
 
 		return this;
 	}
@@ -355,7 +401,7 @@ export default class Matrix2 {
 	 * @returns {Matrix2}
 	 */
 	copyOf(m) {
-		this.n = m.n.slice(0, 4);
+		Components.assign(this.n, m.n);
 
 		return this;
 	}
@@ -379,13 +425,49 @@ export default class Matrix2 {
 	}
 
 
+	/**
+	 * Returns the LU decomposition with partial pivoting of the instance (P*instance=L*U)
+	 * The rows of P*instance are the rows permutation[0], permutation[1]... of the instance
+	 * Singular instances will result in zero diagonal components of U
+	 * @returns {Array} [L {Matrix2}, U {Matrix2}, permutation {int[]}]
+	 */
+	lu() {
+		const [l, u, p] = Decomposition.lu(this.n, 2);
+
+		return [new Matrix2(l), new Matrix2(u), p];
+	}
+
+	/**
+	 * Returns the QR decomposition of the instance (instance=Q*R)
+	 * Using householder reflections
+	 * @returns {Array} [Q {Matrix2}, R {Matrix2}] - The orthonormal Q and the upper triangular R
+	 */
+	qr() {
+		const [q, r] = Decomposition.qr(this.n, 2);
+
+		return [new Matrix2(q), new Matrix2(r)];
+	}
+
+	/**
+	 * Returns the eigendecomposition of the instance (instance=V*diag(values)*V')
+	 * Using the jacobi eigenvalue algorithm, the instance is assumed to be symmetric
+	 * The eigenvalues are sorted in descending order, the columns of V are the corresponding unit eigenvectors
+	 * @returns {Array} [values {number[]}, V {Matrix2}]
+	 */
+	eigen() {
+		const [values, v] = Decomposition.jacobi(this.n, 2);
+
+		return [values, new Matrix2(v)];
+	}
+
+
 	/**
 	 * Returns a string representation of the instance
 	 * @param {int} [digits=3] - The decimal digits
 	 * @returns {string}
 	 */
 	toString(digits = 3) {
-		const str = this.n
+		const str = Array.from(this.n)
 			.map((item, index, source) => (index % 2.0 === 0.0 ? "\n" : "\t") + item.toFixed(digits))
 			.join("");
 
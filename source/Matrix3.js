@@ -1,5 +1,9 @@
+import Vector2 from './Vector2';
 import Vector3 from './Vector3';
 import Matrix2 from './Matrix2';
+import CSSTransform from './CSSTransform';
+import Decomposition from './Decomposition';
+import Components from './Components';
 
 
 
@@ -29,7 +33,7 @@ export default class Matrix3 {
 		n[2] = xzVers - ySin;      n[5] = yzVers + xSin;      n[8] = cos + vers * z * z;
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -51,7 +55,7 @@ export default class Matrix3 {
 		];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -73,7 +77,7 @@ export default class Matrix3 {
 		];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -95,7 +99,7 @@ export default class Matrix3 {
 		];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -129,7 +133,7 @@ export default class Matrix3 {
 		n[8] =  cx * cy;
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -163,7 +167,7 @@ export default class Matrix3 {
 		n[8] =  cy * cx;
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -196,12 +200,87 @@ export default class Matrix3 {
 		n[8] =  cx * cy;
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
 
 
+	/**
+	 * Returns a instance of (x,z,y) ordered euler angles
+	 * @param {number} x - The first (x-axis) rotation in radians
+	 * @param {number} y - The third (y-axis) rotation in radians
+	 * @param {number} z - The second (z-axis) rotation in radians
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static EulerXZY(x, y, z, target) {
+		return Matrix3.Euler(x, z, y, "XZY", target);
+	}
+
+	/**
+	 * Returns a instance of (y,z,x) ordered euler angles
+	 * @param {number} x - The third (x-axis) rotation in radians
+	 * @param {number} y - The first (y-axis) rotation in radians
+	 * @param {number} z - The second (z-axis) rotation in radians
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static EulerYZX(x, y, z, target) {
+		return Matrix3.Euler(y, z, x, "YZX", target);
+	}
+
+	/**
+	 * Returns a instance of (z,y,x) ordered euler angles
+	 * @param {number} x - The third (x-axis) rotation in radians
+	 * @param {number} y - The second (y-axis) rotation in radians
+	 * @param {number} z - The first (z-axis) rotation in radians
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static EulerZYX(x, y, z, target) {
+		return Matrix3.Euler(z, y, x, "ZYX", target);
+	}
+
+	/**
+	 * Returns a instance of intrinsic euler angles
+	 * Rotates by a around the first axis, by b around the once rotated second axis and by c around the twice rotated third axis
+	 * @param {number} a - The first rotation in radians
+	 * @param {number} b - The second rotation in radians
+	 * @param {number} c - The third rotation in radians
+	 * @param {string} [order="XYZ"] - The axis order, one of the Tait-Bryan orders XYZ, XZY, YXZ, YZX, ZXY, ZYX or the proper euler orders XYX, XZX, YXY, YZY, ZXZ, ZYZ
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static Euler(a, b, c, order, target) {
+		const [i, j, k, parity, proper] = _eulerAxes(order !== undefined ? order : "XYZ");
+		const axes = [Vector3.X(), Vector3.Y(), Vector3.Z()];
+
+		if (target === undefined) target = new Matrix3();
+
+		return target
+			.multiply(Matrix3.Rotation(axes[i], a), Matrix3.Rotation(axes[j], b))
+			.multiply(target, Matrix3.Rotation(axes[proper ? i : k], c));
+	}
+
+	/**
+	 * Returns a instance of extrinsic euler angles
+	 * Rotates by a around the first axis, by b around the second axis and by c around the third axis of the fixed frame
+	 * Equal to the intrinsic euler angles (c,b,a) of the reversed order
+	 * @param {number} a - The first rotation in radians
+	 * @param {number} b - The second rotation in radians
+	 * @param {number} c - The third rotation in radians
+	 * @param {string} [order="XYZ"] - The axis order, one of the Tait-Bryan orders XYZ, XZY, YXZ, YZX, ZXY, ZYX or the proper euler orders XYX, XZX, YXY, YZY, ZXZ, ZYZ
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static EulerExtrinsic(a, b, c, order, target) {
+		order = order !== undefined ? order : "XYZ";
+
+		return Matrix3.Euler(c, b, a, order.split("").reverse().join(""), target);
+	}
+
+
 	/**
 	 * Returns a instance of scale vector
 	 * @param {Vector3} v - The source
@@ -218,7 +297,7 @@ export default class Matrix3 {
 		];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -239,7 +318,7 @@ export default class Matrix3 {
 		];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -263,7 +342,7 @@ export default class Matrix3 {
 		];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -278,10 +357,10 @@ export default class Matrix3 {
 	 */
 	static Vector3(x, y, z, target) {
 		z = z !== undefined ? z : Vector3.Cross(x, y);
-		const n = [].concat(x.n, y.n, z.n);
+		const n = [...x.n, ...y.n, ...z.n];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -308,12 +387,39 @@ export default class Matrix3 {
 		n[6] =       s * (xz + yw); n[7] =       s * (yz - xw); n[8] = 1.0 - s * (xx + yy);
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
 
 
+	/**
+	 * Returns a instance rotating the negative z-axis towards forward
+	 * The y-axis of the instance will be as close to up as possible
+	 * Up vectors parallel to forward will be replaced by the coordinate axis least parallel to forward
+	 * @param {Vector3} forward - The forward vector
+	 * @param {Vector3} [up] - The up vector, (0.0,1.0,0.0) if omitted
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static LookRotation(forward, up, target) {
+		const z = Vector3.Normalize(forward).multiplyScalarEQ(-1.0), zn = z.n;
+		const x = Vector3.Cross(up !== undefined ? up : Vector3.Y(), z);
+
+		if (x.normSquared < 1.0e-20) {
+			const ax = Math.abs(zn[0]), ay = Math.abs(zn[1]), az = Math.abs(zn[2]);
+
+			if (ay <= ax && ay <= az) x.cross(Vector3.Y(), z);
+			else if (ax <= az) x.cross(Vector3.X(), z);
+			else x.cross(Vector3.Z(), z);
+		}
+
+		x.normalize();
+
+		return Matrix3.Vector3(x, Vector3.Cross(z, x), z, target);
+	}
+
+
 	/**
 	 * Returns a instance of m
 	 * The instance will be padded to 3x3
@@ -322,12 +428,22 @@ export default class Matrix3 {
 	 * @returns {Matrix3}
 	 */
 	static Matrix2(m, target) {
-		const n = m.n.concat([0.0, 0.0, 0.0, 1.0]);
+		const mn = m.n;
 
-		n.splice(2, 0, 0.0);
+		const n = [
+			mn[0],
+			mn[1],
+			0.0,
+			mn[2],
+			mn[3],
+			0.0,
+			0.0,
+			0.0,
+			1.0
+		];
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -340,18 +456,180 @@ export default class Matrix3 {
 	 * @returns {Matrix3}
 	 */
 	static Matrix4(m, target) {
-		const n = m.n.slice(0, 11);
+		const n = Array.from(m.n.slice(0, 11));
 
 		n.splice(7, 1);
 		n.splice(3, 1);
 
 		if (target === undefined) target = new Matrix3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
+
+		return target;
+	}
+
+
+	/**
+	 * Returns a instance of css or svg transform list str
+	 * The inverse of {@link Matrix3#toCSS2x3} and {@link Matrix3#toCSS}
+	 * Throws an Error if str contains three dimensional transform functions or matrix3d transforms not embedding a 3x3 transform, see {@link CSSTransform.parse}
+	 * @param {string} str - The transform list
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static CSS(str, target) {
+		const res = new Matrix3(), fns = CSSTransform.parse(str);
+
+		for (let i = 0, l = fns.length; i < l; i += 1) {
+			const fn = fns[i], a = fn.args, m = new Matrix3(), n = m.n;
+
+			switch (fn.name) {
+				case "matrix" :
+					n[0] = a[0], n[1] = a[1], n[3] = a[2], n[4] = a[3], n[6] = a[4], n[7] = a[5];
+
+					break;
+
+				case "matrix3d" :
+					if (a[2] !== 0.0 || a[6] !== 0.0 || a[8] !== 0.0 || a[9] !== 0.0 || a[10] !== 1.0 || a[11] !== 0.0 || a[14] !== 0.0) {
+						throw new Error(`Unsupported three dimensional transform function "${ fn.name }"`);
+					}
+
+					n[0] = a[0], n[1] = a[1], n[2] = a[3];
+					n[3] = a[4], n[4] = a[5], n[5] = a[7];
+					n[6] = a[12], n[7] = a[13], n[8] = a[15];
+
+					break;
+
+				case "translate" :
+					n[6] = a[0], n[7] = a.length > 1 ? a[1] : 0.0;
+
+					break;
+
+				case "translatex" :
+					n[6] = a[0];
+
+					break;
+
+				case "translatey" :
+					n[7] = a[0];
+
+					break;
+
+				case "scale" :
+					n[0] = a[0], n[4] = a.length > 1 ? a[1] : a[0];
+
+					break;
+
+				case "scalex" :
+					n[0] = a[0];
+
+					break;
+
+				case "scaley" :
+					n[4] = a[0];
+
+					break;
+
+				case "rotate" :
+				case "rotatez" :
+					Matrix3.RotationZ(a[0], m);
+
+					if (a.length > 1) {
+						const x = a[1], y = a.length > 2 ? a[2] : 0.0;
+
+						m.n[6] = x - m.n[0] * x - m.n[3] * y;
+						m.n[7] = y - m.n[1] * x - m.n[4] * y;
+					}
+
+					break;
+
+				case "skew" :
+					n[3] = Math.tan(a[0]), n[1] = a.length > 1 ? Math.tan(a[1]) : 0.0;
+
+					break;
+
+				case "skewx" :
+					n[3] = Math.tan(a[0]);
+
+					break;
+
+				case "skewy" :
+					n[1] = Math.tan(a[0]);
+
+					break;
+
+				default :
+					throw new Error(`Unsupported two dimensional transform function "${ fn.name }"`);
+			}
+
+			res.multiply(res, m);
+		}
+
+		if (target === undefined) target = res;
+		else Components.assign(target.n, res.n);
 
 		return target;
 	}
 
 
+	/**
+	 * Returns the projective transform mapping the unit square onto quad
+	 * The corners (0,0), (1,0), (1,1) and (0,1) are mapped to the corresponding corners of quad
+	 * Returns null if quad is degenerate, the instance otherwise
+	 * @param {Vector2[]} quad - The four corners
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3|null}
+	 */
+	static SquareToQuad(quad, target) {
+		if (target === undefined) target = new Matrix3();
+
+		return target.squareToQuadOf(quad) ? target : null;
+	}
+
+	/**
+	 * Returns the projective transform mapping the corners of quad source onto the corresponding corners of quad destination
+	 * Returns null if source or destination are degenerate, the instance otherwise
+	 * @param {Vector2[]} source - The four source corners
+	 * @param {Vector2[]} destination - The four destination corners
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3|null}
+	 */
+	static QuadToQuad(source, destination, target) {
+		if (target === undefined) target = new Matrix3();
+
+		return target.quadToQuadOf(source, destination) ? target : null;
+	}
+
+	/**
+	 * Returns the homography mapping the points of source onto the corresponding points of destination
+	 * Using the normalized direct linear transformation, more than four correspondences will return the least squares solution
+	 * Returns null if there are less than four correspondences or if they are degenerate, the instance otherwise
+	 * @param {Vector2[]} source - The source points
+	 * @param {Vector2[]} destination - The destination points, corresponding by index
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3|null}
+	 */
+	static Homography(source, destination, target) {
+		if (target === undefined) target = new Matrix3();
+
+		return target.homographyOf(source, destination) ? target : null;
+	}
+
+	/**
+	 * Returns the 2x3 affine transform mapping the first three points of source onto the corresponding points of destination
+	 * Returns null if the source points are colinear, the instance otherwise
+	 * For the least squares transform of more points see {@link Fit.affine2x3}
+	 * @param {Vector2[]} source - The source points
+	 * @param {Vector2[]} destination - The destination points, corresponding by index
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3|null}
+	 */
+	static Affine2x3(source, destination, target) {
+		if (target === undefined) target = new Matrix3();
+
+		return target.affine2x3Of(source, destination) ? target : null;
+	}
+
+
 	/**
 	 * Returns the sum of a and b (a+b)
 	 * @param {Matrix3} a - The first summand
@@ -446,6 +724,30 @@ export default class Matrix3 {
 		return target.inverseOf(m) ? target : null;
 	}
 
+	/**
+	 * Returns the cholesky decomposition of symmetric m (m=L*L')
+	 * Returns null if m is not positive-definite, the lower triangular L otherwise
+	 * @param {Matrix3} m - The source
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3|null}
+	 */
+	static Cholesky(m, target) {
+		if (target === undefined) target = new Matrix3();
+
+		return target.choleskyOf(m) ? target : null;
+	}
+
+	/**
+	 * Returns the orthonormal matrix nearest to m
+	 * Using the singular value decomposition of m, see {@link Matrix3#svd}
+	 * @param {Matrix3} m - The source
+	 * @param {Matrix3} [target] - The target instance
+	 * @returns {Matrix3}
+	 */
+	static NearestOrthonormal(m, target) {
+		return (target === undefined ? new Matrix3() : target).nearestOrthonormalOf(m);
+	}
+
 	/**
 	 * Returns the transpose of m
 	 * @param {Matrix3} m - The source
@@ -489,7 +791,7 @@ export default class Matrix3 {
 
 	/**
 	 * Creates a new instance
-	 * @param {number[]} [n] - Array represeting 3x3 column-major ordered components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array represeting 3x3 column-major ordered components
 	 * Arrays of length <em>!== 9</em> will return the identity matrix
 	 */
 	constructor(n) {
@@ -499,15 +801,15 @@ export default class Matrix3 {
 		 * n[0]:n00 n[3]:n01 n[6]:n02
 		 * n[1]:n10 n[4]:n11 n[7]:n12
 		 * n[2]:n20 n[5]:n21 n[8]:n22
-		 * @type {number[]}
+		 * @type {number[]|Float32Array|Float64Array}
 		 */
-		this.n = (n && n.constructor === Array && n.length === 9 ? n : [1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0]);
+		this.n = (Components.isArray(n, 9) ? n : [1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0]);
 	}
 
 
 	/**
 	 * Redefines the instance
-	 * @param {number[]} [n] - Array representing 3x3 column-major ordered components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing 3x3 column-major ordered components
 	 * Arrays of length <em>!== 9</em> will return the identity matrix.
 	 * @returns {Matrix3}
 	 */
@@ -648,6 +950,15 @@ export default class Matrix3 {
 		return n[0] * (n11 * n22 - n12 * n21) + n[3] * (n12 * n20 - n10 * n22) + n[6] * (n10 * n21 - n11 * n20);
 	}
 
+	/**
+	 * The condition number of the instance in the 1-norm (|instance|*|instance^-1|)
+	 * Infinity if the instance is singular relative to its largest absolute component, see {@link Decomposition.lu}
+	 * @type {number}
+	 */
+	get condition() {
+		return Decomposition.condition(this.n, 3);
+	}
+
 
 	/**
 	 * The sum of a and b (a+b)
@@ -685,7 +996,7 @@ export default class Matrix3 {
 	 * @returns {Matrix3}
 	 */
 	multiply2x3Vector2Scale(m, v) {
-		const n = this.n = m.n.slice(0), vn = v.n;
+		const n = Components.assign(this.n, m.n), vn = v.n;
 
 		const v00 = vn[0], v11 = vn[1];
 
@@ -842,6 +1153,186 @@ export default class Matrix3 {
 		return true;
 	}
 
+	/**
+	 * The cholesky decomposition of symmetric m (m=L*L')
+	 * Beware: method is NOT chainable
+	 * @param {Matrix3} m - The source
+	 * @returns {boolean}
+	 * Returns false if m is not positive-definite, true otherwise
+	 */
+	choleskyOf(m) {
+		const l = Decomposition.cholesky(m.n, 3);
+
+		if (l === null) return false;
+
+		Components.assign(this.n, l);
+
+		return true;
+	}
+
+	/**
+	 * The projective transform mapping the unit square onto quad
+	 * The corners (0,0), (1,0), (1,1) and (0,1) are mapped to the corresponding corners of quad
+	 * Beware: method is NOT chainable
+	 * @param {Vector2[]} quad - The four corners
+	 * @returns {boolean}
+	 * Returns false if quad is degenerate relative to the lengths of its edges, true otherwise
+	 */
+	squareToQuadOf(quad) {
+		const [x0, y0] = quad[0].n, [x1, y1] = quad[1].n, [x2, y2] = quad[2].n, [x3, y3] = quad[3].n;
+		const dx1 = x1 - x2, dx2 = x3 - x2, dx3 = x0 - x1 + x2 - x3;
+		const dy1 = y1 - y2, dy2 = y3 - y2, dy3 = y0 - y1 + y2 - y3;
+		const d = dx1 * dy2 - dx2 * dy1, scale = Math.sqrt((dx1 * dx1 + dy1 * dy1) * (dx2 * dx2 + dy2 * dy2));
+
+		if (Math.abs(d) <= scale * 1.0e-10) return false;
+
+		const g = (dx3 * dy2 - dx2 * dy3) / d, h = (dx1 * dy3 - dx3 * dy1) / d;
+
+		Components.assign(this.n, [
+			x1 - x0 + g * x1,
+			y1 - y0 + g * y1,
+			g,
+			x3 - x0 + h * x3,
+			y3 - y0 + h * y3,
+			h,
+			x0,
+			y0,
+			1.0
+		]);
+
+		return Math.abs(this.determinant) > scale * 1.0e-10;
+	}
+
+	/**
+	 * The projective transform mapping the corners of quad source onto the corresponding corners of quad destination
+	 * Beware: method is NOT chainable
+	 * @param {Vector2[]} source - The four source corners
+	 * @param {Vector2[]} destination - The four destination corners
+	 * @returns {boolean}
+	 * Returns false if source or destination are degenerate, true otherwise
+	 */
+	quadToQuadOf(source, destination) {
+		const from = Matrix3.SquareToQuad(source), to = Matrix3.SquareToQuad(destination);
+
+		if (from === null || to === null) return false;
+
+		const [l, u, p] = Decomposition.lu(from.n, 3), inverse = Decomposition.luInverse(l, u, p, 3);
+
+		if (inverse === null) return false;
+
+		this.multiply(to, new Matrix3(inverse));
+
+		return true;
+	}
+
+	/**
+	 * The homography mapping the points of source onto the corresponding points of destination
+	 * Using the normalized direct linear transformation, more than four correspondences will return the least squares solution
+	 * Beware: method is NOT chainable
+	 * @param {Vector2[]} source - The source points
+	 * @param {Vector2[]} destination - The destination points, corresponding by index
+	 * @returns {boolean}
+	 * Returns false if there are less than four correspondences or if they are degenerate, true otherwise
+	 */
+	homographyOf(source, destination) {
+		const l = Math.min(source.length, destination.length);
+
+		if (l < 4) return false;
+
+		const from = _normalization(source, l), to = _normalization(destination, l);
+		const ata = new Array(81).fill(0.0);
+
+		for (let i = 0; i < l; i += 1) {
+			const [x, y] = Vector2.MultiplyMatrix3(from, source[i]).n;
+			const [u, v] = Vector2.MultiplyMatrix3(to, destination[i]).n;
+
+			_accumulate(ata, [
+				x,
+				y,
+				1.0,
+				0.0,
+				0.0,
+				0.0,
+				-u * x,
+				-u * y,
+				-u
+			]);
+			_accumulate(ata, [
+				0.0,
+				0.0,
+				0.0,
+				x,
+				y,
+				1.0,
+				-v * x,
+				-v * y,
+				-v
+			]);
+		}
+
+		const [values, vectors] = Decomposition.jacobi(ata, 9);
+
+		if (values[7] <= values[0] * 1.0e-12) return false;
+
+		const [h00, h01, h02, h10, h11, h12, h20, h21, h22] = vectors.slice(72, 81);
+
+		const n = [
+			h00,
+			h10,
+			h20,
+			h01,
+			h11,
+			h21,
+			h02,
+			h12,
+			h22
+		];
+
+		const normalized = new Matrix3(n);
+
+		if (Math.abs(normalized.determinant) < 1.0e-10 || !to.invert()) return false;
+
+		this.multiply(to, normalized).multiply(this, from);
+
+		const w = this.n[8];
+
+		if (w !== 0.0) Components.assign(this.n, this.n.map((item, index, source) => item / w));
+
+		return true;
+	}
+
+	/**
+	 * The 2x3 affine transform mapping the first three points of source onto the corresponding points of destination
+	 * Beware: method is NOT chainable
+	 * @param {Vector2[]} source - The source points
+	 * @param {Vector2[]} destination - The destination points, corresponding by index
+	 * @returns {boolean}
+	 * Returns false if the source points are colinear, true otherwise
+	 */
+	affine2x3Of(source, destination) {
+		const from = _triangle(source), to = _triangle(destination);
+		const [l, u, p] = Decomposition.lu(from.n, 3), inverse = Decomposition.luInverse(l, u, p, 3);
+
+		if (inverse === null) return false;
+
+		this.multiply2x3(to, new Matrix3(inverse));
+
+		return true;
+	}
+
+	/**
+	 * The orthonormal matrix nearest to m
+	 * Using the singular value decomposition of m, see {@link Matrix3#svd}
+	 * Reflections of m are preserved, rotations remain rotations
+	 * @param {Matrix3} m - The source
+	 * @returns {Matrix3}
+	 */
+	nearestOrthonormalOf(m) {
+		const [u, , v] = m.svd();
+
+		return this.multiply(u, v.transpose());
+	}
+
 	/**
 	 * The transpose of m
 	 * @param {Matrix3} m - The source
@@ -850,9 +1341,9 @@ export default class Matrix3 {
 	transposeOf(m) {
 		const n = this.n, mn = m.n.slice(0, 9);
 
-		n[3] = mn[1], n[6] = mn[2];
-		n[1] = mn[3], n[7] = mn[5];
-		n[2] = mn[6], n[5] = mn[7];
+		n[0] = mn[0], n[3] = mn[1], n[6] = mn[2];
+		n[1] = mn[3], n[4] = mn[4], n[7] = mn[5];
+		n[2] = mn[6], n[5] = mn[7], n[8] = mn[8];
 
 		return this;
 	}
@@ -863,7 +1354,7 @@ export default class Matrix3 {
 	 * @returns {Matrix3}
 	 */
 	copyOf(m) {
-		this.n = m.n.slice(0, 9);
+		Components.assign(this.n, m.n);
 
 		return this;
 	}
@@ -887,23 +1378,129 @@ export default class Matrix3 {
 		return this.transposeOf(this);
 	}
 
+	/**
+	 * The orthonormal matrix nearest to the instance
+	 * Removes the numerical drift of repeatedly concatenated rotations
+	 * @returns {Matrix3}
+	 */
+	orthonormalize() {
+		return this.nearestOrthonormalOf(this);
+	}
+
+
+	/**
+	 * Returns the LU decomposition with partial pivoting of the instance (P*instance=L*U)
+	 * The rows of P*instance are the rows permutation[0], permutation[1]... of the instance
+	 * Singular instances will result in zero diagonal components of U
+	 * @returns {Array} [L {Matrix3}, U {Matrix3}, permutation {int[]}]
+	 */
+	lu() {
+		const [l, u, p] = Decomposition.lu(this.n, 3);
+
+		return [new Matrix3(l), new Matrix3(u), p];
+	}
+
+	/**
+	 * Returns the QR decomposition of the instance (instance=Q*R)
+	 * Using householder reflections
+	 * @returns {Array} [Q {Matrix3}, R {Matrix3}] - The orthonormal Q and the upper triangular R
+	 */
+	qr() {
+		const [q, r] = Decomposition.qr(this.n, 3);
+
+		return [new Matrix3(q), new Matrix3(r)];
+	}
+
+	/**
+	 * Returns the eigendecomposition of the instance (instance=V*diag(values)*V')
+	 * Using the jacobi eigenvalue algorithm, the instance is assumed to be symmetric
+	 * The eigenvalues are sorted in descending order, the columns of V are the corresponding unit eigenvectors
+	 * @returns {Array} [values {number[]}, V {Matrix3}]
+	 */
+	eigen() {
+		const [values, v] = Decomposition.jacobi(this.n, 3);
+
+		return [values, new Matrix3(v)];
+	}
+
+	/**
+	 * Returns the singular value decomposition of the instance (instance=U*diag(S)*V')
+	 * Using the jacobi eigendecomposition of instance'*instance and the QR decomposition of instance*V
+	 * The singular values are sorted in descending order, U and V are orthonormal
+	 * @returns {Array} [U {Matrix3}, S {Vector3}, V {Matrix3}]
+	 */
+	svd() {
+		const [, v] = Decomposition.jacobi(Matrix3.Multiply(Matrix3.Transpose(this), this).n, 3);
+		const [u, r] = Decomposition.qr(Matrix3.Multiply(this, new Matrix3(v)).n, 3);
+		const s = [r[0], r[4], r[8]];
+
+		for (let i = 0; i < 3; i += 1) {
+			if (s[i] >= 0.0) continue;
+
+			s[i] = -s[i];
+			u[i * 3] = -u[i * 3], u[i * 3 + 1] = -u[i * 3 + 1], u[i * 3 + 2] = -u[i * 3 + 2];
+		}
+
+		return [new Matrix3(u), new Vector3(s), new Matrix3(v)];
+	}
+
+	/**
+	 * Returns the polar decomposition of the instance (instance=R*S)
+	 * R is a rotation and S is symmetric, reflections will result in a negative eigenvalue of S
+	 * @returns {Array} [R {Matrix3}, S {Matrix3}] - The rotation and the stretch
+	 */
+	polar() {
+		const [u, s, v] = this.svd();
+
+		if (u.determinant * v.determinant < 0.0) {
+			const un = u.n, sn = s.n;
+
+			un[6] = -un[6], un[7] = -un[7], un[8] = -un[8], sn[2] = -sn[2];
+		}
+
+		const vt = Matrix3.Transpose(v);
+
+		return [
+			Matrix3.Multiply(u, vt),
+			Matrix3.Multiply(Matrix3.Multiply(v, Matrix3.Scale(s)), vt)
+		];
+	}
+
+
+	/**
+	 * Returns a (x,y,z) ordered (x,y,z) euler angle representation of the instance
+	 * @returns {number[]}
+	 */
+	toEulerXYZ() {
+		return this.toEuler("XYZ");
+	}
+
+	/**
+	 * Returns a (x,y,z) ordered (x,z,y) euler angle representation of the instance
+	 * @returns {number[]}
+	 */
+	toEulerXZY() {
+		const [x, z, y] = this.toEuler("XZY");
+
+		return [x, y, z];
+	}
 
 	/**
 	 * Returns a (x,y,z) ordered (y,x,z) euler angle representation of the instance
 	 * @returns {number[]}
 	 */
 	toEulerYXZ() {
-		const n = this.n, x = Math.asin(-n[7]);
-		let y, z;
+		const [y, x, z] = this.toEuler("YXZ");
 
-		if (Math.abs(n[7]) !== 1.0) {
-			y = Math.atan2(n[6], n[8]);
-			z = Math.atan2(n[1], n[4]);
-		}
-		else {
-			y = Math.atan2(n[3], n[0]);
-			z = 0.0;
-		}
+		return [x, y, z];
+	}
+
+	/**
+	 * Returns a (x,y,z) ordered (y,z,x) euler angle representation of the instance
+	 * @returns {number[]}
+	 */
+	toEulerYZX() {
+		const [y, z, x] = this.toEuler("YZX");
 
 		return [x, y, z];
 	}
@@ -913,19 +1510,72 @@ export default class Matrix3 {
 	 * @returns {number[]}
 	 */
 	toEulerZXY() {
-		const n = this.n, x = Math.asin(-n[5]);
-		let y, z;
+		const [z, x, y] = this.toEuler("ZXY");
+
+		return [x, y, z];
+	}
+
+	/**
+	 * Returns a (x,y,z) ordered (z,y,x) euler angle representation of the instance
+	 * @returns {number[]}
+	 */
+	toEulerZYX() {
+		const [z, y, x] = this.toEuler("ZYX");
+
+		return [x, y, z];
+	}
+
+	/**
+	 * Returns the intrinsic euler angle representation of the instance
+	 * The inverse of {@link Matrix3.Euler}
+	 * The second angle is within (-PI/2,PI/2) for Tait-Bryan orders and within (0,PI) for proper euler orders
+	 * The third angle is 0.0 if the instance is in gimbal lock
+	 * @param {string} [order="XYZ"] - The axis order, one of the Tait-Bryan orders XYZ, XZY, YXZ, YZX, ZXY, ZYX or the proper euler orders XYX, XZX, YXY, YZY, ZXZ, ZYZ
+	 * @returns {number[]}
+	 */
+	toEuler(order = "XYZ") {
+		const [i, j, k, parity, proper] = _eulerAxes(order);
+		const n = this.n, ii = i * 4, ij = j * 3 + i, ik = k * 3 + i, ji = i * 3 + j, jj = j * 4, ki = i * 3 + k, kj = j * 3 + k;
+		let a, b, c;
+
+		if (proper) {
+			const sin = Math.sqrt(n[ji] * n[ji] + n[ki] * n[ki]);
 
-		if (Math.abs(n[5]) !== 1.0) {
-			y = Math.atan2(-n[2], n[8]);
-			z = Math.atan2(-n[3], n[4]);
+			b = Math.atan2(sin, n[ii]);
+
+			if (sin > 1.0e-10) {
+				a = Math.atan2(n[ji], -parity * n[ki]);
+				c = Math.atan2(n[ij], parity * n[ik]);
+			}
 		}
 		else {
-			y = 0.0;
-			z = Math.atan2(n[1], n[0]);
+			const cos = Math.sqrt(n[ii] * n[ii] + n[ij] * n[ij]);
+
+			b = Math.atan2(parity * n[ik], cos);
+
+			if (cos > 1.0e-10) {
+				a = Math.atan2(-parity * n[k * 3 + j], n[k * 4]);
+				c = Math.atan2(-parity * n[ij], n[ii]);
+			}
 		}
 
-		return [x, y, z];
+		if (c === undefined) {
+			a = Math.atan2(parity * n[kj], n[jj]);
+			c = 0.0;
+		}
+
+		return [a, b, c];
+	}
+
+	/**
+	 * Returns the extrinsic euler angle representation of the instance
+	 * The inverse of {@link Matrix3.EulerExtrinsic}
+	 * The first angle is 0.0 if the instance is in gimbal lock
+	 * @param {string} [order="XYZ"] - The axis order, one of the Tait-Bryan orders XYZ, XZY, YXZ, YZX, ZXY, ZYX or the proper euler orders XYX, XZX, YXY, YZY, ZXZ, ZYZ
+	 * @returns {number[]}
+	 */
+	toEulerExtrinsic(order = "XYZ") {
+		return this.toEuler(order.split("").reverse().join("")).reverse();
 	}
 
 	/**
@@ -935,7 +1585,7 @@ export default class Matrix3 {
 	 * @returns {String}
 	 */
 	toCSS2x3(digits = 3) {
-		const str = this.n
+		const str = Array.from(this.n)
 			.filter((item, index, source) => index % 3 !== 2)
 			.map((item, index, source) => item.toFixed(digits))
 			.join(",");
@@ -949,7 +1599,26 @@ export default class Matrix3 {
 	 * @returns {String}
 	 */
 	toCSS(digits = 3) {
-		const str = this.n
+		const n = this.n;
+
+		const str = [
+			n[0],
+			n[1],
+			0.0,
+			n[2],
+			n[3],
+			n[4],
+			0.0,
+			n[5],
+			0.0,
+			0.0,
+			1.0,
+			0.0,
+			n[6],
+			n[7],
+			0.0,
+			n[8]
+		]
 			.map((item, index, source) => item.toFixed(digits))
 			.join(",");
 
@@ -962,7 +1631,7 @@ export default class Matrix3 {
 	 * @returns {String}
 	 */
 	toString(digits = 3) {
-		const str = this.n
+		const str = Array.from(this.n)
 			.map((item, index, source) => (index % 3 === 0.0 ? "\n" : "\t") + item.toFixed(digits))
 			.join("");
 
@@ -977,3 +1646,76 @@ export default class Matrix3 {
 		return this.determinant;
 	}
 }
+
+
+
+/**
+ * Returns the axis indices, parity and kind of euler angle order
+ * Throws an Error if order is not a valid euler angle order
+ * @private
+ * @param {string} order - The axis order
+ * @returns {Array} [first axis {int}, second axis {int}, remaining axis {int}, parity {int}, proper {boolean}]
+ */
+function _eulerAxes(order) {
+	const i = "XYZ".indexOf(order[0]), j = "XYZ".indexOf(order[1]), l = "XYZ".indexOf(order[2]);
+
+	if (order.length !== 3 || i === -1 || j === -1 || l === -1 || i === j || j === l) {
+		throw new Error(`Invalid euler angle order "${ order }"`);
+	}
+
+	return [
+		i,
+		j,
+		3 - i - j,
+		(i + 1) % 3 === j ? 1 : -1,
+		i === l
+	];
+}
+
+/**
+ * Returns the similarity transform moving the centroid of the first l points to the origin and their mean distance to sqrt(2)
+ * @private
+ * @param {Vector2[]} points - The points
+ * @param {int} l - The number of points
+ * @returns {Matrix3}
+ */
+function _normalization(points, l) {
+	const centroid = new Vector2([0.0, 0.0]);
+	let distance = 0.0;
+
+	for (let i = 0; i < l; i += 1) centroid.addEQ(points[i]);
+
+	centroid.multiplyScalarEQ(1.0 / l);
+
+	for (let i = 0; i < l; i += 1) distance += Vector2.Subtract(points[i], centroid).norm;
+
+	const s = distance !== 0.0 ? Math.SQRT2 * l / distance : 1.0, [x, y] = centroid.n;
+
+	return Matrix3.Vector2(new Vector2([s, 0.0]), new Vector2([0.0, s]), new Vector2([-s * x, -s * y]));
+}
+
+/**
+ * Adds the outer product of row to the symmetric matrix ata (ata+row'*row)
+ * @private
+ * @param {number[]} ata - The matrix
+ * @param {number[]} row - The row
+ */
+function _accumulate(ata, row) {
+	const l = row.length;
+
+	for (let c = 0; c < l; c += 1) {
+		for (let r = 0; r < l; r += 1) ata[c * l + r] += row[r] * row[c];
+	}
+}
+
+/**
+ * Returns the 2x3 transform mapping the unit triangle (0,0), (1,0), (0,1) onto the first three points
+ * @private
+ * @param {Vector2[]} points - The points
+ * @returns {Matrix3}
+ */
+function _triangle(points) {
+	const [p0, p1, p2] = points;
+
+	return Matrix3.Vector2(Vector2.Subtract(p1, p0), Vector2.Subtract(p2, p0), p0);
+}
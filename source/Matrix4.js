@@ -1,5 +1,9 @@
 import Vector3 from './Vector3';
+import Vector4 from './Vector4';
 import Matrix3 from './Matrix3';
+import CSSTransform from './CSSTransform';
+import Decomposition from './Decomposition';
+import Components from './Components';
 
 
 
@@ -25,7 +29,7 @@ export default class Matrix4 {
 		];
 
 		if (target === undefined) target = new Matrix4(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -43,14 +47,110 @@ export default class Matrix4 {
 		z = z !== undefined ? z : Vector3.Cross(x, y);
 		const tn = t !== undefined ? t.n : [0.0, 0.0, 0.0];
 
-		const n = [].concat(x.n, 0.0, y.n, 0.0, z.n, 0.0, tn, 1.0);
+		const xn = x.n, yn = y.n, zn = z.n;
+
+		const n = [
+			xn[0],
+			xn[1],
+			xn[2],
+			0.0,
+			yn[0],
+			yn[1],
+			yn[2],
+			0.0,
+			zn[0],
+			zn[1],
+			zn[2],
+			0.0,
+			tn[0],
+			tn[1],
+			tn[2],
+			1.0
+		];
 
 		if (target === undefined) target = new Matrix4(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
 
+	/**
+	 * Returns a view instance of a camera at eye looking at center
+	 * The camera looks along the negative z-axis, the inverse of {@link Matrix4.TargetTo}
+	 * @param {Vector3} eye - The position of the camera
+	 * @param {Vector3} center - The point looked at
+	 * @param {Vector3} [up] - The up vector, (0.0,1.0,0.0) if omitted
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	static LookAt(eye, center, up, target) {
+		const r = Matrix3.LookRotation(Vector3.Subtract(center, eye), up).transpose();
+
+		return Matrix4.Multiply3x4Vector3Translation(Matrix4.Matrix3(r), Vector3.MultiplyScalar(eye, -1.0), target);
+	}
+
+	/**
+	 * Returns a instance placing an object at eye with its negative z-axis facing center
+	 * The inverse of {@link Matrix4.LookAt}
+	 * @param {Vector3} eye - The position of the object
+	 * @param {Vector3} center - The point faced
+	 * @param {Vector3} [up] - The up vector, (0.0,1.0,0.0) if omitted
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	static TargetTo(eye, center, up, target) {
+		const r = Matrix3.LookRotation(Vector3.Subtract(center, eye), up);
+
+		return Matrix4.Multiply3x4Matrix3(Matrix4.Translation(eye), r, target);
+	}
+
+
+	/**
+	 * Returns a instance of intrinsic euler angles
+	 * @param {number} a - The first rotation in radians
+	 * @param {number} b - The second rotation in radians
+	 * @param {number} c - The third rotation in radians
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3.Euler}
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	static Euler(a, b, c, order, target) {
+		return Matrix4.Matrix3(Matrix3.Euler(a, b, c, order), target);
+	}
+
+	/**
+	 * Returns a instance of extrinsic euler angles
+	 * @param {number} a - The first rotation in radians
+	 * @param {number} b - The second rotation in radians
+	 * @param {number} c - The third rotation in radians
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3.EulerExtrinsic}
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	static EulerExtrinsic(a, b, c, order, target) {
+		return Matrix4.Matrix3(Matrix3.EulerExtrinsic(a, b, c, order), target);
+	}
+
+	/**
+	 * Returns a instance of translation t, unit-quaternion rotation q and scale s (t*q*s)
+	 * @param {Vector3} t - The translation vector
+	 * @param {Vector4} q - The rotation
+	 * @param {Vector3} s - The scale vector
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	static Compose(t, q, s, target) {
+		const r = Matrix3.Vector4(q).n, sn = s.n;
+
+		return Matrix4.Vector3(
+			new Vector3(r.slice(0, 3)).multiplyScalarEQ(sn[0]),
+			new Vector3(r.slice(3, 6)).multiplyScalarEQ(sn[1]),
+			new Vector3(r.slice(6, 9)).multiplyScalarEQ(sn[2]),
+			Vector3.Copy(t),
+			target
+		);
+	}
+
 	/**
 	 * Returns a instance of m
 	 * The instance will be padded to 4x4
@@ -59,13 +159,182 @@ export default class Matrix4 {
 	 * @returns {Matrix4}
 	 */
 	static Matrix3(m, target) {
-		const n = m.n.concat([0.0, 0.0, 0.0, 0.0, 1.0]);
+		const mn = m.n;
 
-		n.splice(3, 0, 0.0);
-		n.splice(7, 0, 0.0);
+		const n = [
+			mn[0],
+			mn[1],
+			mn[2],
+			0.0,
+			mn[3],
+			mn[4],
+			mn[5],
+			0.0,
+			mn[6],
+			mn[7],
+			mn[8],
+			0.0,
+			0.0,
+			0.0,
+			0.0,
+			1.0
+		];
 
 		if (target === undefined) target = new Matrix4(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
+
+		return target;
+	}
+
+	/**
+	 * Returns the 3x4 affine transform mapping the first four points of source onto the corresponding points of destination
+	 * Returns null if the source points are coplanar, the instance otherwise
+	 * For the least squares transform of more points see {@link Fit.affine3x4}
+	 * @param {Vector3[]} source - The source points
+	 * @param {Vector3[]} destination - The destination points, corresponding by index
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4|null}
+	 */
+	static Affine3x4(source, destination, target) {
+		if (target === undefined) target = new Matrix4();
+
+		return target.affine3x4Of(source, destination) ? target : null;
+	}
+
+
+	/**
+	 * Returns a instance of css or svg transform list str
+	 * The inverse of {@link Matrix4#toCSS}
+	 * Perspective distances are clamped to a minimum of 1.0
+	 * Throws an Error if str is not a supported transform list, see {@link CSSTransform.parse}
+	 * @param {string} str - The transform list
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4}
+	 */
+	static CSS(str, target) {
+		const res = new Matrix4(), fns = CSSTransform.parse(str);
+
+		for (let i = 0, l = fns.length; i < l; i += 1) {
+			const fn = fns[i], a = fn.args, m = new Matrix4(), n = m.n;
+
+			switch (fn.name) {
+				case "matrix" :
+					n[0] = a[0], n[1] = a[1], n[4] = a[2], n[5] = a[3], n[12] = a[4], n[13] = a[5];
+
+					break;
+
+				case "matrix3d" :
+					m.define(a);
+
+					break;
+
+				case "translate" :
+					n[12] = a[0], n[13] = a.length > 1 ? a[1] : 0.0;
+
+					break;
+
+				case "translatex" :
+					n[12] = a[0];
+
+					break;
+
+				case "translatey" :
+					n[13] = a[0];
+
+					break;
+
+				case "translatez" :
+					n[14] = a[0];
+
+					break;
+
+				case "translate3d" :
+					n[12] = a[0], n[13] = a[1], n[14] = a[2];
+
+					break;
+
+				case "scale" :
+					n[0] = a[0], n[5] = a.length > 1 ? a[1] : a[0];
+
+					break;
+
+				case "scalex" :
+					n[0] = a[0];
+
+					break;
+
+				case "scaley" :
+					n[5] = a[0];
+
+					break;
+
+				case "scalez" :
+					n[10] = a[0];
+
+					break;
+
+				case "scale3d" :
+					n[0] = a[0], n[5] = a[1], n[10] = a[2];
+
+					break;
+
+				case "rotate" :
+				case "rotatez" :
+					Matrix4.Matrix3(Matrix3.RotationZ(a[0]), m);
+
+					if (a.length > 1) {
+						const x = a[1], y = a.length > 2 ? a[2] : 0.0;
+
+						m.n[12] = x - m.n[0] * x - m.n[4] * y;
+						m.n[13] = y - m.n[1] * x - m.n[5] * y;
+					}
+
+					break;
+
+				case "rotatex" :
+					Matrix4.Matrix3(Matrix3.Rotation(Vector3.X(), a[0]), m);
+
+					break;
+
+				case "rotatey" :
+					Matrix4.Matrix3(Matrix3.Rotation(Vector3.Y(), a[0]), m);
+
+					break;
+
+				case "rotate3d" : {
+					const axis = new Vector3(a.slice(0, 3));
+
+					if (axis.normSquared !== 0.0) Matrix4.Matrix3(Matrix3.Rotation(axis.normalize(), a[3]), m);
+
+					break;
+				}
+
+				case "skew" :
+					n[4] = Math.tan(a[0]), n[1] = a.length > 1 ? Math.tan(a[1]) : 0.0;
+
+					break;
+
+				case "skewx" :
+					n[4] = Math.tan(a[0]);
+
+					break;
+
+				case "skewy" :
+					n[1] = Math.tan(a[0]);
+
+					break;
+
+				case "perspective" :
+					n[11] = -1.0 / Math.max(a[0], 1.0);
+
+					break;
+			}
+
+			res.multiply(res, m);
+		}
+
+		if (target === undefined) target = res;
+		else Components.assign(target.n, res.n);
 
 		return target;
 	}
@@ -183,7 +452,7 @@ export default class Matrix4 {
 
 	/**
 	 * Returns the inverse of m
-	 * Using gauss-jordan elimination
+	 * Using gauss elimination with partial pivoting, see {@link Matrix4#lu}
 	 * Returns null if m is singular, the 4x4 inverse of m otherwise
 	 * @param {Matrix4} m - The source
 	 * @param {Matrix4} [target] - The target instance
@@ -195,6 +464,19 @@ export default class Matrix4 {
 		return target.inverseGaussOf(m) ? target : null;
 	}
 
+	/**
+	 * Returns the cholesky decomposition of symmetric m (m=L*L')
+	 * Returns null if m is not positive-definite, the lower triangular L otherwise
+	 * @param {Matrix4} m - The source
+	 * @param {Matrix4} [target] - The target instance
+	 * @returns {Matrix4|null}
+	 */
+	static Cholesky(m, target) {
+		if (target === undefined) target = new Matrix4();
+
+		return target.choleskyOf(m) ? target : null;
+	}
+
 	/**
 	 * Returns the transpose of m
 	 * @param {Matrix4} m - The source
@@ -238,7 +520,7 @@ export default class Matrix4 {
 
 	/**
 	 * Creates a new instance
-	 * @param {number[]} [n] - Array representing 4x4 column-major ordered components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing 4x4 column-major ordered components
 	 * Arrays of length !== 16 will return the identity matrix
 	 */
 	constructor(n) {
@@ -249,15 +531,15 @@ export default class Matrix4 {
 		 * n[1]:n10 n[5]:n11 n[9] :n12 n[13]:n13
 		 * n[2]:n20 n[6]:n21 n[10]:n22 n[14]:n23
 		 * n[3]:n30 n[7]:n31 n[11]:n32 n[15]:n33
-		 * @type {number[]}
+		 * @type {number[]|Float32Array|Float64Array}
 		 */
-		this.n = (n && n.constructor === Array && n.length === 16 ? n : [1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0]);
+		this.n = (Components.isArray(n, 16) ? n : [1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 0.0, 1.0]);
 	}
 
 
 	/**
 	 * Redefines the instance
-	 * @param {number[]} [n] - Array representing 4x4 column-major ordered components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing 4x4 column-major ordered components
 	 * Arrays of length <em>!== 16</em> will return the identity matrix
 	 * @returns {Matrix4}
 	 */
@@ -483,10 +765,28 @@ export default class Matrix4 {
 	get determinant() {
 		const n = this.n;
 
+		const n00 = n[0], n01 = n[4], n02 = n[8],  n03 = n[12];
 		const n10 = n[1], n11 = n[5], n12 = n[9],  n13 = n[13];
+		const n20 = n[2], n21 = n[6], n22 = n[10], n23 = n[14];
 		const n30 = n[3], n31 = n[7], n32 = n[11], n33 = n[15];
 
-		return n[0] * n[10] * (n11 * n33 - n13 * n31) + n[4] * n[14] * (n12 * n30 - n10 * n32) + n[8] * n[2] * (n13 * n31 - n11 * n33) + n[12] * n[6] * (n10 * n32 - n12 * n30);
+		return (
+			(n00 * n11 - n10 * n01) * (n22 * n33 - n32 * n23) -
+			(n00 * n12 - n10 * n02) * (n21 * n33 - n31 * n23) +
+			(n00 * n13 - n10 * n03) * (n21 * n32 - n31 * n22) +
+			(n01 * n12 - n11 * n02) * (n20 * n33 - n30 * n23) -
+			(n01 * n13 - n11 * n03) * (n20 * n32 - n30 * n22) +
+			(n02 * n13 - n12 * n03) * (n20 * n31 - n30 * n21)
+		);
+	}
+
+	/**
+	 * The condition number of the instance in the 1-norm (|instance|*|instance^-1|)
+	 * Infinity if the instance is singular relative to its largest absolute component, see {@link Decomposition.lu}
+	 * @type {number}
+	 */
+	get condition() {
+		return Decomposition.condition(this.n, 4);
 	}
 
 
@@ -526,7 +826,7 @@ export default class Matrix4 {
 	 * @returns {Matrix4}
 	 */
 	multiply3x4Vector3Scale(m, v) {
-		const n = this.n = m.n.slice(0, 16), vn = v.n;
+		const n = Components.assign(this.n, m.n), vn = v.n;
 
 		const v00 = vn[0], v11 = vn[1], v22 = vn[2];
 
@@ -546,7 +846,7 @@ export default class Matrix4 {
 	 * @returns {Matrix4}
 	 */
 	multiply3x4Vector3Translation(m, v) {
-		const mn = m.n, vn = v.n, n = this.n = mn.slice(0);
+		const mn = m.n, vn = v.n, n = Components.assign(this.n, mn);
 
 		const v03 = vn[0], v13 = vn[1], v23 = vn[2];
 
@@ -678,6 +978,25 @@ export default class Matrix4 {
 	}
 
 
+	/**
+	 * The 3x4 affine transform mapping the first four points of source onto the corresponding points of destination
+	 * Beware: method is NOT chainable
+	 * @param {Vector3[]} source - The source points
+	 * @param {Vector3[]} destination - The destination points, corresponding by index
+	 * @returns {boolean}
+	 * Returns false if the source points are coplanar, true otherwise
+	 */
+	affine3x4Of(source, destination) {
+		const from = _tetrahedron(source), to = _tetrahedron(destination);
+		const [l, u, p] = Decomposition.lu(from.n, 4), inverse = Decomposition.luInverse(l, u, p, 4);
+
+		if (inverse === null) return false;
+
+		this.multiply3x4(to, new Matrix4(inverse));
+
+		return true;
+	}
+
 	/**
 	 * The 3x4 inverse of m
 	 * Beware: method is NOT chainable
@@ -687,7 +1006,7 @@ export default class Matrix4 {
 	 * @returns {Boolean}
 	 */
 	inverse3x4Of(m) {
-		let n = this.n, mn = m.n, d = Matrix3.Matrix4(this).determinant;
+		let n = this.n, mn = m.n, d = Matrix3.Matrix4(m).determinant;
 
 		if (Math.abs(d) < 1.0e-10) return false;
 
@@ -773,72 +1092,35 @@ export default class Matrix4 {
 	/**
 	 * The inverse of m
 	 * Beware: method is NOT chainable
-	 * Using gauss-jordan elimination
-	 * returns false if m is singular, false otherwise
+	 * Using gauss elimination with partial pivoting, see {@link Matrix4#lu}
+	 * returns false if m is singular, true otherwise
 	 * @param {Matrix4} m - The source
-	 * @returns {Boolean}
+	 * @returns {boolean}
 	 */
-	static inverseGaussOf(m) {
-		const a = m.n.slice(0), b = new Matrix4().n, abs = Math.abs;
+	inverseGaussOf(m) {
+		const [l, u, p] = Decomposition.lu(m.n, 4);
+		const n = Decomposition.luInverse(l, u, p, 4);
 
-		for (let r1 = 0; r1 < 4; r1 += 1) {
-			const rcol = r1 * 4;
-			let max = r1;
+		if (n === null) return false;
 
-			for (let r2 = r1 + 1; r2 < 4; r2 += 1) {
-				if (abs(a[r2 + rcol]) > abs(a[max + rcol])) max = r2;
-			}
-
-			if (max !== r1) {
-				for (let c = 0; c < 4; c += 1) {
-					const ccol = c * 4, indexA = r1 + ccol, indexB = max + ccol;
-
-					[a[indexA], a[indexB]] = [a[indexB], a[indexA]];
-					[b[indexA], b[indexB]] = [b[indexB], b[indexA]];
-				}
-			}
-
-			if (abs(a[r1 + rcol]) < 1.0e-10) return false;
-
-			for (let r2 = r1 + 1; r2 < 4; r2 += 1) {
-				const n = a[r2 + rcol] / a[r1 + rcol];
-
-				for (let c = 0; c < 4; c += 1) {
-					const ccol = c * 4;
-
-					b[r2 + ccol] -= b[r1 + ccol] * n;
-
-					if (c <= r1) continue;
-
-					a[r2 + ccol] -= a[r1 + ccol] * n;
-				}
-			}
-		}
-
-		for (let r1 = 3; r1 > -1; r1 -= 1) {
-			const rcol = r1 * 4;
-			const n = 1.0 / a[r1 + rcol];
-
-			for (let r2 = 0; r2 < r1; r2 += 1) {
-				const f = a[r2 + rcol] * n;
-
-				for (let c = 0; c < 4; c += 1) {
-					const ccol = c * 4, indexA = r2 + ccol, indexB = r1 + ccol;
+		Components.assign(this.n, n);
 
-					b[indexA] -= b[indexB] * f;
-
-					if (c <= r1) continue;
-
-					a[indexA] -= a[indexB] + f;
-				}
-			}
+		return true;
+	}
 
-			a[rcol] *= n;
+	/**
+	 * The cholesky decomposition of symmetric m (m=L*L')
+	 * Beware: method is NOT chainable
+	 * @param {Matrix4} m - The source
+	 * @returns {boolean}
+	 * Returns false if m is not positive-definite, true otherwise
+	 */
+	choleskyOf(m) {
+		const l = Decomposition.cholesky(m.n, 4);
 
-			for (let c = 0; c < 4; c += 1) b[r1 + c * 4] *= n;
-		}
+		if (l === null) return false;
 
-		this.n = b;
+		Components.assign(this.n, l);
 
 		return true;
 	}
@@ -851,10 +1133,10 @@ export default class Matrix4 {
 	transposeOf(m) {
 		const n = this.n, mn = m.n.slice(0);
 
-		n[4] = mn[1] , n[8] = mn[2] , n[12] = mn[3];
-		n[1] = mn[4] , n[9] = mn[6] , n[13] = mn[7];
-		n[2] = mn[8] , n[6] = mn[9] , n[14] = mn[11];
-		n[3] = mn[12], n[7] = mn[13], n[11] = mn[14];
+		n[0] = mn[0] , n[4] = mn[1] , n[8] = mn[2] , n[12] = mn[3];
+		n[1] = mn[4] , n[5] = mn[5] , n[9] = mn[6] , n[13] = mn[7];
+		n[2] = mn[8] , n[6] = mn[9] , n[10] = mn[10], n[14] = mn[11];
+		n[3] = mn[12], n[7] = mn[13], n[11] = mn[14], n[15] = mn[15];
 
 		return this;
 	}
@@ -865,7 +1147,7 @@ export default class Matrix4 {
 	 * @returns {Matrix4}
 	 */
 	copyOf(m) {
-		this.n = m.n.slice(0, 16);
+		Components.assign(this.n, m.n);
 
 		return this;
 	}
@@ -896,7 +1178,7 @@ export default class Matrix4 {
 	/**
 	 * The inverse of the instance
 	 * Beware: method is NOT chainable
-	 * using gauss-jordan elimination
+	 * Using gauss elimination with partial pivoting, see {@link Matrix4#lu}
 	 * @returns {boolean}
 	 * Returns false if the instance is singular, true otherwise
 	 */
@@ -913,13 +1195,111 @@ export default class Matrix4 {
 	}
 
 
+	/**
+	 * Returns the LU decomposition with partial pivoting of the instance (P*instance=L*U)
+	 * The rows of P*instance are the rows permutation[0], permutation[1]... of the instance
+	 * Singular instances will result in zero diagonal components of U
+	 * @returns {Array} [L {Matrix4}, U {Matrix4}, permutation {int[]}]
+	 */
+	lu() {
+		const [l, u, p] = Decomposition.lu(this.n, 4);
+
+		return [new Matrix4(l), new Matrix4(u), p];
+	}
+
+	/**
+	 * Returns the QR decomposition of the instance (instance=Q*R)
+	 * Using householder reflections
+	 * @returns {Array} [Q {Matrix4}, R {Matrix4}] - The orthonormal Q and the upper triangular R
+	 */
+	qr() {
+		const [q, r] = Decomposition.qr(this.n, 4);
+
+		return [new Matrix4(q), new Matrix4(r)];
+	}
+
+	/**
+	 * Returns the eigendecomposition of the instance (instance=V*diag(values)*V')
+	 * Using the jacobi eigenvalue algorithm, the instance is assumed to be symmetric
+	 * The eigenvalues are sorted in descending order, the columns of V are the corresponding unit eigenvectors
+	 * @returns {Array} [values {number[]}, V {Matrix4}]
+	 */
+	eigen() {
+		const [values, v] = Decomposition.jacobi(this.n, 4);
+
+		return [values, new Matrix4(v)];
+	}
+
+
+	/**
+	 * Returns the intrinsic euler angle representation of the instance
+	 * Components 3x and x3 are ignored, the 3x3 components are assumed to be a rotation
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3#toEuler}
+	 * @returns {number[]}
+	 */
+	toEuler(order) {
+		return Matrix3.Matrix4(this).toEuler(order);
+	}
+
+	/**
+	 * Returns the extrinsic euler angle representation of the instance
+	 * Components 3x and x3 are ignored, the 3x3 components are assumed to be a rotation
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3#toEulerExtrinsic}
+	 * @returns {number[]}
+	 */
+	toEulerExtrinsic(order) {
+		return Matrix3.Matrix4(this).toEulerExtrinsic(order);
+	}
+
+	/**
+	 * Returns the translation, unit-quaternion rotation and scale representation of the instance
+	 * The inverse of {@link Matrix4.Compose}
+	 * Components 3x are assumed to be (0.0,0.0,0.0,1.0)
+	 * Reflections will result in a negative x-axis scale, shears will not be represented
+	 * @returns {Array} [translation {Vector3}, rotation {Vector4}, scale {Vector3}]
+	 */
+	decompose() {
+		const n = this.n;
+		const x = new Vector3(n.slice(0, 3)), y = new Vector3(n.slice(4, 7)), z = new Vector3(n.slice(8, 11));
+		let sx = x.norm;
+		const sy = y.norm, sz = z.norm;
+
+		if (Vector3.dot(Vector3.Cross(x, y), z) < 0.0) sx = -sx;
+
+		x.multiplyScalarEQ(sx !== 0.0 ? 1.0 / sx : 1.0);
+		y.multiplyScalarEQ(sy !== 0.0 ? 1.0 / sy : 1.0);
+		z.multiplyScalarEQ(sz !== 0.0 ? 1.0 / sz : 1.0);
+
+		const q = Vector4.Matrix3(Matrix3.Vector3(x, y, z));
+
+		return [
+			new Vector3(n.slice(12, 15)),
+			q.normalizationOf(q),
+			new Vector3([sx, sy, sz])
+		];
+	}
+
+
+	/**
+	 * Returns a css-formated 4x4 string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toCSS(digits = 3) {
+		const str = Array.from(this.n)
+			.map((item, index, source) => item.toFixed(digits))
+			.join(",");
+
+		return `matrix3d(${ str })`;
+	}
+
 	/**
 	 * Returns a string representation of the instance
 	 * @param {int} [digits=3] - The number of digits
 	 * @returns {string}
 	 */
 	toString(digits = 3) {
-		const str = this.n
+		const str = Array.from(this.n)
 			.map((item, index, source) => (index % 4.0 === 0.0 ? "\n" : "\t") + item.toFixed(digits))
 			.join("");
 
@@ -934,3 +1314,17 @@ export default class Matrix4 {
 		return this.determinant;
 	}
 }
+
+
+
+/**
+ * Returns the 3x4 transform mapping the unit tetrahedron (0,0,0), (1,0,0), (0,1,0), (0,0,1) onto the first four points
+ * @private
+ * @param {Vector3[]} points - The points
+ * @returns {Matrix4}
+ */
+function _tetrahedron(points) {
+	const [p0, p1, p2, p3] = points;
+
+	return Matrix4.Vector3(Vector3.Subtract(p1, p0), Vector3.Subtract(p2, p0), Vector3.Subtract(p3, p0), p0);
+}
@@ -0,0 +1,503 @@
+import Matrix2 from './Matrix2';
+import Matrix3 from './Matrix3';
+import Matrix4 from './Matrix4';
+import Decomposition from './Decomposition';
+import Components from './Components';
+
+
+
+/**
+ * Arbitrary size matrix
+ * Unlike the fixed size types, operations replace the component array of the instance instead of writing into it
+ */
+export default class MatrixN {
+
+	/**
+	 * Returns a zero instance of rows and cols
+	 * @param {int} rows - The number of rows
+	 * @param {int} cols - The number of columns
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Zero(rows, cols, target) {
+		const n = new Array(rows * cols).fill(0.0);
+
+		return (target === undefined ? new MatrixN() : target).define(rows, cols, n);
+	}
+
+	/**
+	 * Returns an instance of m
+	 * @param {Matrix2} m - The source
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Matrix2(m, target) {
+		return (target === undefined ? new MatrixN() : target).define(2, 2, Array.from(m.n.slice(0, 4)));
+	}
+
+	/**
+	 * Returns an instance of m
+	 * @param {Matrix3} m - The source
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Matrix3(m, target) {
+		return (target === undefined ? new MatrixN() : target).define(3, 3, Array.from(m.n.slice(0, 9)));
+	}
+
+	/**
+	 * Returns an instance of m
+	 * @param {Matrix4} m - The source
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Matrix4(m, target) {
+		return (target === undefined ? new MatrixN() : target).define(4, 4, Array.from(m.n.slice(0, 16)));
+	}
+
+
+	/**
+	 * Returns the sum of a and b (a+b)
+	 * @param {MatrixN} a - The first summand
+	 * @param {MatrixN} b - The second summand
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Add(a, b, target) {
+		return (target === undefined ? new MatrixN() : target).add(a, b);
+	}
+
+	/**
+	 * Returns the difference of a and b (a-b)
+	 * @param {MatrixN} a - The minuend
+	 * @param {MatrixN} b - The subtrahend
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Subtract(a, b, target) {
+		return (target === undefined ? new MatrixN() : target).subtract(a, b);
+	}
+
+	/**
+	 * Returns the scalar product of m and n (m*n)
+	 * @param {MatrixN} m - The matrix
+	 * @param {number} n - The scalar
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static MultiplyScalar(m, n, target) {
+		return (target === undefined ? new MatrixN() : target).multiplyScalar(m, n);
+	}
+
+	/**
+	 * Returns the concatenation of a and b (a*b)
+	 * Throws an Error if the columns of a do not match the rows of b
+	 * @param {MatrixN} a - The first transform
+	 * @param {MatrixN} b - The second transform
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Multiply(a, b, target) {
+		return (target === undefined ? new MatrixN() : target).multiply(a, b);
+	}
+
+	/**
+	 * Returns the inverse of m
+	 * Using gauss elimination with partial pivoting
+	 * Returns null if m is singular or not square, the inverse of m otherwise
+	 * @param {MatrixN} m - The source
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN|null}
+	 */
+	static Inverse(m, target) {
+		if (target === undefined) target = new MatrixN();
+
+		return target.inverseOf(m) ? target : null;
+	}
+
+	/**
+	 * Returns the transpose of m
+	 * @param {MatrixN} m - The source
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Transpose(m, target) {
+		return (target === undefined ? new MatrixN() : target).transposeOf(m);
+	}
+
+	/**
+	 * Returns the block of m starting at row and col
+	 * @param {MatrixN} m - The source
+	 * @param {int} row - The index of the first row
+	 * @param {int} col - The index of the first column
+	 * @param {int} rows - The number of rows
+	 * @param {int} cols - The number of columns
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Block(m, row, col, rows, cols, target) {
+		return (target === undefined ? new MatrixN() : target).blockOf(m, row, col, rows, cols);
+	}
+
+	/**
+	 * Returns a copy of m
+	 * @param {MatrixN} m - The source
+	 * @param {MatrixN} [target] - The target instance
+	 * @returns {MatrixN}
+	 */
+	static Copy(m, target) {
+		return (target === undefined ? new MatrixN() : target).copyOf(m);
+	}
+
+
+	/**
+	 * Returns true if a and b are equal, false otherwise (a==b)
+	 * @param {MatrixN} a - The protagonist
+	 * @param {MatrixN} b - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(a, b) {
+		if (a === b) return true;
+
+		if (a.rows !== b.rows || a.cols !== b.cols) return false;
+
+		const an = a.n, bn = b.n;
+
+		for (let i = 0, l = an.length; i < l; i += 1) {
+			if (an[i] !== bn[i]) return false;
+		}
+
+		return true;
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {int} [rows=0] - The number of rows
+	 * @param {int} [cols=rows] - The number of columns
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the rows*cols column-major ordered components
+	 * Arrays of length !== rows*cols will return the identity matrix
+	 */
+	constructor(rows, cols, n) {
+		this.define(rows, cols, n);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {int} [rows=0] - The number of rows
+	 * @param {int} [cols=rows] - The number of columns
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the rows*cols column-major ordered components
+	 * Arrays of length !== rows*cols will return the identity matrix
+	 * @returns {MatrixN}
+	 */
+	define(rows, cols, n) {
+		rows = rows !== undefined ? rows : 0;
+		cols = cols !== undefined ? cols : rows;
+
+		/**
+		 * The number of rows
+		 * @type {int}
+		 */
+		this.rows = rows;
+
+		/**
+		 * The number of columns
+		 * @type {int}
+		 */
+		this.cols = cols;
+
+		/**
+		 * The array representation
+		 * Contains the rows*cols column-major ordered components of the instance
+		 * n[col*rows+row] is the component at row and col
+		 * @type {number[]|Float32Array|Float64Array}
+		 */
+		this.n = (Components.isArray(n, rows * cols) ? n : _identity(rows, cols));
+
+		return this;
+	}
+
+
+	/**
+	 * Returns the component at row and col
+	 * @param {int} row - The row index
+	 * @param {int} col - The column index
+	 * @returns {number}
+	 */
+	get(row, col) {
+		return this.n[col * this.rows + row];
+	}
+
+	/**
+	 * Sets the component at row and col
+	 * @param {int} row - The row index
+	 * @param {int} col - The column index
+	 * @param {number} n - The value
+	 * @returns {MatrixN}
+	 */
+	set(row, col, n) {
+		this.n[col * this.rows + row] = n;
+
+		return this;
+	}
+
+
+	/**
+	 * The sum of a and b (a+b)
+	 * @param {MatrixN} a - The first summand
+	 * @param {MatrixN} b - The second summand
+	 * @returns {MatrixN}
+	 */
+	add(a, b) {
+		const bn = b.n;
+
+		return this.define(a.rows, a.cols, a.n.map((item, index, source) => item + bn[index]));
+	}
+
+	/**
+	 * The difference of a and b (a-b)
+	 * @param {MatrixN} a - The minuend
+	 * @param {MatrixN} b - The subtrahend
+	 * @returns {MatrixN}
+	 */
+	subtract(a, b) {
+		const bn = b.n;
+
+		return this.define(a.rows, a.cols, a.n.map((item, index, source) => item - bn[index]));
+	}
+
+	/**
+	 * The scalar product of m and n (m*n)
+	 * @param {MatrixN} m - The matrix
+	 * @param {number} n - The scalar
+	 * @returns {MatrixN}
+	 */
+	multiplyScalar(m, n) {
+		return this.define(m.rows, m.cols, m.n.map((item, index, source) => item * n));
+	}
+
+	/**
+	 * The concatenation of a and b (a*b)
+	 * Throws an Error if the columns of a do not match the rows of b
+	 * @param {MatrixN} a - The first transform
+	 * @param {MatrixN} b - The second transform
+	 * @returns {MatrixN}
+	 */
+	multiply(a, b) {
+		if (a.cols !== b.rows) throw new Error(`Incompatible dimensions ${ a.rows }x${ a.cols } and ${ b.rows }x${ b.cols }`);
+
+		const an = a.n, bn = b.n, rows = a.rows, size = a.cols, cols = b.cols;
+		const n = new Array(rows * cols).fill(0.0);
+
+		for (let c = 0; c < cols; c += 1) {
+			for (let k = 0; k < size; k += 1) {
+				const f = bn[c * size + k], col = k * rows;
+
+				if (f === 0.0) continue;
+
+				for (let r = 0; r < rows; r += 1) n[c * rows + r] += an[col + r] * f;
+			}
+		}
+
+		return this.define(rows, cols, n);
+	}
+
+	/**
+	 * The inverse of m
+	 * Beware: method is NOT chainable
+	 * Using gauss elimination with partial pivoting
+	 * @param {MatrixN} m - The source
+	 * @returns {boolean}
+	 * Returns false if m is singular or not square, true otherwise
+	 */
+	inverseOf(m) {
+		const size = m.rows;
+
+		if (m.cols !== size) return false;
+
+		const [l, u, p] = Decomposition.lu(m.n, size);
+		const n = Decomposition.luInverse(l, u, p, size);
+
+		if (n === null) return false;
+
+		this.define(size, size, n);
+
+		return true;
+	}
+
+	/**
+	 * The transpose of m
+	 * @param {MatrixN} m - The source
+	 * @returns {MatrixN}
+	 */
+	transposeOf(m) {
+		const mn = m.n, rows = m.rows, cols = m.cols, n = [];
+
+		for (let r = 0; r < rows; r += 1) {
+			for (let c = 0; c < cols; c += 1) n.push(mn[c * rows + r]);
+		}
+
+		return this.define(cols, rows, n);
+	}
+
+	/**
+	 * The block of m starting at row and col
+	 * @param {MatrixN} m - The source
+	 * @param {int} row - The index of the first row
+	 * @param {int} col - The index of the first column
+	 * @param {int} rows - The number of rows
+	 * @param {int} cols - The number of columns
+	 * @returns {MatrixN}
+	 */
+	blockOf(m, row, col, rows, cols) {
+		const mn = m.n, n = [];
+
+		for (let c = col, l = col + cols; c < l; c += 1) {
+			const offset = c * m.rows;
+
+			for (let r = row, k = row + rows; r < k; r += 1) n.push(mn[offset + r]);
+		}
+
+		return this.define(rows, cols, n);
+	}
+
+	/**
+	 * The copy of m
+	 * @param {MatrixN} m - The source
+	 * @returns {MatrixN}
+	 */
+	copyOf(m) {
+		return this.define(m.rows, m.cols, m.n.slice(0));
+	}
+
+
+	/**
+	 * The sum of the instance and m
+	 * @param {MatrixN} m - The second summand
+	 * @returns {MatrixN}
+	 */
+	addEQ(m) {
+		return this.add(this, m);
+	}
+
+	/**
+	 * The difference of the instance and m
+	 * @param {MatrixN} m - The subtrahend
+	 * @returns {MatrixN}
+	 */
+	subtractEQ(m) {
+		return this.subtract(this, m);
+	}
+
+	/**
+	 * The scalar product of the instance and n
+	 * @param {number} n - The scalar
+	 * @returns {MatrixN}
+	 */
+	multiplyScalarEQ(n) {
+		return this.multiplyScalar(this, n);
+	}
+
+	/**
+	 * The insertion of m into the instance starting at row and col
+	 * @param {int} row - The index of the first row
+	 * @param {int} col - The index of the first column
+	 * @param {MatrixN|Matrix2|Matrix3|Matrix4} m - The inserted matrix
+	 * @returns {MatrixN}
+	 */
+	insertEQ(row, col, m) {
+		const n = this.n, mn = m.n, rows = this.rows;
+		const mrows = m.rows !== undefined ? m.rows : Math.round(Math.sqrt(mn.length));
+		const mcols = mn.length / mrows;
+
+		for (let c = 0; c < mcols; c += 1) {
+			for (let r = 0; r < mrows; r += 1) n[(col + c) * rows + row + r] = mn[c * mrows + r];
+		}
+
+		return this;
+	}
+
+	/**
+	 * The inverse of the instance
+	 * Beware: method is NOT chainable
+	 * Using gauss elimination with partial pivoting
+	 * @returns {boolean}
+	 * Returns false if the instance is singular or not square, true otherwise
+	 */
+	invert() {
+		return this.inverseOf(this);
+	}
+
+	/**
+	 * The transpose of the instance
+	 * @returns {MatrixN}
+	 */
+	transpose() {
+		return this.transposeOf(this);
+	}
+
+
+	/**
+	 * Returns the Matrix2 representation of the instance starting at row and col
+	 * @param {int} [row=0] - The index of the first row
+	 * @param {int} [col=0] - The index of the first column
+	 * @returns {Matrix2}
+	 */
+	toMatrix2(row = 0, col = 0) {
+		return new Matrix2(MatrixN.Block(this, row, col, 2, 2).n);
+	}
+
+	/**
+	 * Returns the Matrix3 representation of the instance starting at row and col
+	 * @param {int} [row=0] - The index of the first row
+	 * @param {int} [col=0] - The index of the first column
+	 * @returns {Matrix3}
+	 */
+	toMatrix3(row = 0, col = 0) {
+		return new Matrix3(MatrixN.Block(this, row, col, 3, 3).n);
+	}
+
+	/**
+	 * Returns the Matrix4 representation of the instance starting at row and col
+	 * @param {int} [row=0] - The index of the first row
+	 * @param {int} [col=0] - The index of the first column
+	 * @returns {Matrix4}
+	 */
+	toMatrix4(row = 0, col = 0) {
+		return new Matrix4(MatrixN.Block(this, row, col, 4, 4).n);
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		const rows = this.rows;
+		const str = Array.from(this.n)
+			.map((item, index, source) => (index % rows === 0 ? "\n" : "\t") + item.toFixed(digits))
+			.join("");
+
+		return `[MatrixN](${ rows }x${ this.cols })${ str }`;
+	}
+}
+
+
+
+/**
+ * Returns the identity matrix of rows and cols
+ * @private
+ * @param {int} rows - The number of rows
+ * @param {int} cols - The number of columns
+ * @returns {number[]}
+ */
+function _identity(rows, cols) {
+	const res = new Array(rows * cols).fill(0.0);
+
+	for (let i = 0, l = Math.min(rows, cols); i < l; i += 1) res[i * rows + i] = 1.0;
+
+	return res;
+}
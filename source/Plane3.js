@@ -0,0 +1,350 @@
+import Vector3 from './Vector3';
+import Vector4 from './Vector4';
+import Matrix4 from './Matrix4';
+import Ray3 from './Ray3';
+import Components from './Components';
+
+
+
+/**
+ * The side of points in front of the plane
+ * @type {int}
+ */
+export const SIDE_FRONT = 1;
+/**
+ * The side of points on the plane
+ * @type {int}
+ */
+export const SIDE_ON = 0;
+/**
+ * The side of points behind the plane
+ * @type {int}
+ */
+export const SIDE_BACK = -1;
+
+
+
+/**
+ * Three dimensional plane in hessian normal form
+ */
+export default class Plane3 {
+
+	/**
+	 * Returns an instance of triangle (p0,p1,p2)
+	 * The normal follows the right hand rule
+	 * Returns null if the points are colinear
+	 * @param {Vector3} p0 - The first point
+	 * @param {Vector3} p1 - The second point
+	 * @param {Vector3} p2 - The third point
+	 * @param {Plane3} [target] - The target instance
+	 * @returns {Plane3|null}
+	 */
+	static Points(p0, p1, p2, target) {
+		const normal = Vector3.Cross(Vector3.Subtract(p1, p0), Vector3.Subtract(p2, p0));
+
+		if (normal.normSquared < 1.0e-20) return null;
+
+		normal.normalize();
+
+		const dist = Vector3.dot(normal, p0);
+
+		if (target === undefined) target = new Plane3(normal, dist);
+		else target.define(normal, dist);
+
+		return target;
+	}
+
+	/**
+	 * Returns an instance of normal passing through p
+	 * @param {Vector3} normal - The normal
+	 * @param {Vector3} p - The point
+	 * @param {Plane3} [target] - The target instance
+	 * @returns {Plane3}
+	 */
+	static Vector3(normal, p, target) {
+		const n = Vector3.Normalize(normal);
+		const dist = Vector3.dot(n, p);
+
+		if (target === undefined) target = new Plane3(n, dist);
+		else target.define(n, dist);
+
+		return target;
+	}
+
+	/**
+	 * Returns an instance of plane equation v
+	 * The plane is defined as all points p where (v.x*p.x + v.y*p.y + v.z*p.z + v.w) === 0.0
+	 * @param {Vector4} v - The source
+	 * @param {Plane3} [target] - The target instance
+	 * @returns {Plane3}
+	 */
+	static Vector4(v, target) {
+		return (target === undefined ? new Plane3() : target).vector4Of(v);
+	}
+
+
+	/**
+	 * Returns the transformation of p (m*p)
+	 * Returns null if m is assumed to be singular, the transformation of p otherwise
+	 * @param {Matrix4} m - The transform
+	 * @param {Plane3} p - The source
+	 * @param {Plane3} [target] - The target instance
+	 * @returns {Plane3|null}
+	 */
+	static MultiplyMatrix4(m, p, target) {
+		if (target === undefined) target = new Plane3();
+
+		return target.multiplyMatrix4(m, p) ? target : null;
+	}
+
+	/**
+	 * Returns a copy of p
+	 * @param {Plane3} p - The source
+	 * @param {Plane3} [target] - The target instance
+	 * @returns {Plane3}
+	 */
+	static Copy(p, target) {
+		return (target === undefined ? new Plane3() : target).copyOf(p);
+	}
+
+
+	/**
+	 * Returns true if p and q are equal, false otherwise (p==q)
+	 * @param {Plane3} p - The protagonist
+	 * @param {Plane3} q - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(p, q) {
+		return p === q || p.dist === q.dist && Vector3.isEQ(p.normal, q.normal);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Vector3} [normal] - The unit normal
+	 * @param {number} [dist=0.0] - The signed distance from the origin
+	 * Omitting the normal will return the xy-plane
+	 */
+	constructor(normal, dist) {
+		this.define(normal, dist);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Vector3} [normal] - The unit normal
+	 * @param {number} [dist=0.0] - The signed distance from the origin
+	 * @returns {Plane3}
+	 */
+	define(normal, dist = 0.0) {
+		/**
+		 * The unit normal
+		 * @type {Vector3}
+		 */
+		this.normal = normal !== undefined ? normal : Vector3.Z();
+
+		/**
+		 * The signed distance from the origin
+		 * The plane is defined as all points p where (p dot normal) === dist
+		 * @type {number}
+		 */
+		this.dist = dist;
+
+		return this;
+	}
+
+
+	/**
+	 * Returns the signed distance between the instance and p
+	 * Positive distances are in front of the instance
+	 * @param {Vector3} p - The point
+	 * @returns {number}
+	 */
+	distance(p) {
+		return Vector3.dot(this.normal, p) - this.dist;
+	}
+
+	/**
+	 * Returns the side of the instance p is on
+	 * @param {Vector3} p - The point
+	 * @param {number} [epsilon=1.0e-10] - The maximal distance of points on the instance
+	 * @returns {int}
+	 */
+	side(p, epsilon = 1.0e-10) {
+		const d = this.distance(p);
+
+		return d > epsilon ? SIDE_FRONT : (d < -epsilon ? SIDE_BACK : SIDE_ON);
+	}
+
+	/**
+	 * Returns the side of the instance v is pointing to
+	 * Vectors parallel to the instance are considered on the instance
+	 * @param {Vector3} v - The vector
+	 * @param {number} [epsilon=1.0e-10] - The maximal deviation of parallel vectors
+	 * @returns {int}
+	 */
+	sideOfVector(v, epsilon = 1.0e-10) {
+		const d = Vector3.dot(this.normal, v);
+
+		return d > epsilon ? SIDE_FRONT : (d < -epsilon ? SIDE_BACK : SIDE_ON);
+	}
+
+
+	/**
+	 * Returns the line of intersection between the instance and p
+	 * Beware: method is NOT chainable
+	 * The direction of the line is (normal cross p.normal)
+	 * Returns null if the planes are parallel
+	 * @param {Plane3} p - The plane
+	 * @param {Ray3} [target] - The target instance
+	 * @returns {Ray3|null}
+	 */
+	intersectPlane(p, target) {
+		const n1 = this.normal, n2 = p.normal;
+		const direction = Vector3.Cross(n1, n2);
+		const det = direction.normSquared;
+
+		if (det < 1.0e-20) return null;
+
+		const origin = Vector3
+			.Cross(n2, direction)
+			.multiplyScalarEQ(this.dist)
+			.addEQ(Vector3.Cross(direction, n1).multiplyScalarEQ(p.dist))
+			.multiplyScalarEQ(1.0 / det);
+
+		direction.normalize();
+
+		if (target === undefined) target = new Ray3(origin, direction);
+		else target.define(origin, direction);
+
+		return target;
+	}
+
+	/**
+	 * Returns the point of intersection between the instance, p and q
+	 * Beware: method is NOT chainable
+	 * Returns null if any two of the planes are parallel
+	 * @param {Plane3} p - The second plane
+	 * @param {Plane3} q - The third plane
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3|null}
+	 */
+	intersectPlanes(p, q, target) {
+		const n1 = this.normal, n2 = p.normal, n3 = q.normal;
+		const n23 = Vector3.Cross(n2, n3);
+		const det = Vector3.dot(n1, n23);
+
+		if (Math.abs(det) < 1.0e-10) return null;
+
+		const point = n23
+			.multiplyScalarEQ(this.dist)
+			.addEQ(Vector3.Cross(n3, n1).multiplyScalarEQ(p.dist))
+			.addEQ(Vector3.Cross(n1, n2).multiplyScalarEQ(q.dist))
+			.multiplyScalarEQ(1.0 / det);
+
+		if (target === undefined) return point;
+
+		Components.assign(target.n, point.n);
+
+		return target;
+	}
+
+
+	/**
+	 * The plane equation v
+	 * The plane is defined as all points p where (v.x*p.x + v.y*p.y + v.z*p.z + v.w) === 0.0
+	 * @param {Vector4} v - The source
+	 * @returns {Plane3}
+	 */
+	vector4Of(v) {
+		const vn = v.n, x = vn[0], y = vn[1], z = vn[2];
+		let norm = x * x + y * y + z * z;
+
+		norm = norm !== 0.0 ? 1.0 / Math.sqrt(norm) : 0.0;
+
+		this.normal = new Vector3([x * norm, y * norm, z * norm]);
+		this.dist = -vn[3] * norm;
+
+		return this;
+	}
+
+	/**
+	 * The transformation of p (m*p)
+	 * Beware: method is NOT chainable
+	 * Using the inverse transpose of m
+	 * Returns false if m is assumed to be singular, true otherwise
+	 * @param {Matrix4} m - The transform
+	 * @param {Plane3} p - The source
+	 * @returns {boolean}
+	 */
+	multiplyMatrix4(m, p) {
+		const inv = Matrix4.Inverse(m);
+
+		if (inv === null) return false;
+
+		const a = inv.n, pn = p.normal.n;
+		const x = pn[0], y = pn[1], z = pn[2], w = -p.dist;
+
+		const nx = a[0]  * x + a[1]  * y + a[2]  * z + a[3]  * w;
+		const ny = a[4]  * x + a[5]  * y + a[6]  * z + a[7]  * w;
+		const nz = a[8]  * x + a[9]  * y + a[10] * z + a[11] * w;
+		const nw = a[12] * x + a[13] * y + a[14] * z + a[15] * w;
+
+		const norm = 1.0 / Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+		this.normal = new Vector3([nx * norm, ny * norm, nz * norm]);
+		this.dist = -nw * norm;
+
+		return true;
+	}
+
+	/**
+	 * The copy of p
+	 * @param {Plane3} p - The source
+	 * @returns {Plane3}
+	 */
+	copyOf(p) {
+		this.normal = Vector3.Copy(p.normal);
+		this.dist = p.dist;
+
+		return this;
+	}
+
+
+	/**
+	 * The flipped instance
+	 * @returns {Plane3}
+	 */
+	flip() {
+		this.normal.multiplyScalarEQ(-1.0);
+		this.dist = -this.dist;
+
+		return this;
+	}
+
+
+	/**
+	 * Returns a plane equation representation of the instance
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	toVector4(target) {
+		const n = [...this.normal.n, -this.dist];
+
+		if (target === undefined) return new Vector4(n);
+
+		Components.assign(target.n, n);
+
+		return target;
+	}
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		return `[Plane3](${ this.normal.toString(digits) } ${ this.dist.toFixed(digits) })`;
+	}
+}
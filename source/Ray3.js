@@ -0,0 +1,385 @@
+import Vector3 from './Vector3';
+import Matrix4 from './Matrix4';
+import Components from './Components';
+
+
+
+/**
+ * Three dimensional ray
+ */
+export default class Ray3 {
+
+	/**
+	 * Returns an instance originating at p and passing through q
+	 * @param {Vector3} p - The origin
+	 * @param {Vector3} q - The point of passage
+	 * @param {Ray3} [target] - The target instance
+	 * @returns {Ray3}
+	 */
+	static Points(p, q, target) {
+		const origin = Vector3.Copy(p);
+		const direction = Vector3.Subtract(q, p).normalize();
+
+		if (target === undefined) target = new Ray3(origin, direction);
+		else target.define(origin, direction);
+
+		return target;
+	}
+
+	/**
+	 * Returns the world space picking ray of screen space point p
+	 * The instance originates on the near plane and points towards the far plane
+	 * Returns null if the view-projection transform is assumed to be singular
+	 * @param {Viewport} viewport - The viewport
+	 * @param {Vector2} p - The screen coordinates
+	 * @param {Matrix4} view - The view transform
+	 * @param {Matrix4} projection - The projection transform
+	 * @param {Ray3} [target] - The target instance
+	 * @returns {Ray3|null}
+	 */
+	static Viewport(viewport, p, view, projection, target) {
+		const inverse = Matrix4.Inverse(Matrix4.Multiply(projection, view));
+
+		if (inverse === null) return null;
+
+		const origin = Vector3.MultiplyMatrix4(inverse, viewport.toNDC(p, viewport.near));
+		const direction = Vector3
+			.MultiplyMatrix4(inverse, viewport.toNDC(p, viewport.far))
+			.subtractEQ(origin)
+			.normalize();
+
+		if (target === undefined) target = new Ray3(origin, direction);
+		else target.define(origin, direction);
+
+		return target;
+	}
+
+	/**
+	 * Returns a copy of r
+	 * @param {Ray3} r - The source
+	 * @param {Ray3} [target] - The target instance
+	 * @returns {Ray3}
+	 */
+	static Copy(r, target) {
+		return (target === undefined ? new Ray3() : target).copyOf(r);
+	}
+
+
+	/**
+	 * Returns true if r and s are equal, false otherwise (r==s)
+	 * @param {Ray3} r - The protagonist
+	 * @param {Ray3} s - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(r, s) {
+		return r === s || Vector3.isEQ(r.origin, s.origin) && Vector3.isEQ(r.direction, s.direction);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Vector3} [origin] - The origin
+	 * @param {Vector3} [direction] - The direction
+	 * Omitting the origin will return a ray originating at (0.0,0.0,0.0)
+	 * Omitting the direction will return a ray pointing along the z-axis
+	 */
+	constructor(origin, direction) {
+		this.define(origin, direction);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Vector3} [origin] - The origin
+	 * @param {Vector3} [direction] - The direction
+	 * @returns {Ray3}
+	 */
+	define(origin, direction) {
+		/**
+		 * The origin
+		 * @type {Vector3}
+		 */
+		this.origin = origin !== undefined ? origin : new Vector3();
+
+		/**
+		 * The direction
+		 * All distances along the ray are measured in multiples of the norm of the direction
+		 * @type {Vector3}
+		 */
+		this.direction = direction !== undefined ? direction : Vector3.Z();
+
+		return this;
+	}
+
+
+	/**
+	 * Returns the point at distance t
+	 * @param {number} t - The distance
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	pointAt(t, target) {
+		const o = this.origin.n, d = this.direction.n;
+
+		const n = [
+			o[0] + d[0] * t,
+			o[1] + d[1] * t,
+			o[2] + d[2] * t
+		];
+
+		if (target === undefined) target = new Vector3(n);
+		else Components.assign(target.n, n);
+
+		return target;
+	}
+
+	/**
+	 * Returns the distance of the point on the instance closest to p
+	 * @param {Vector3} p - The point
+	 * @returns {number}
+	 */
+	closestDistance(p) {
+		const o = this.origin.n, d = this.direction.n, pn = p.n;
+		const dx = d[0], dy = d[1], dz = d[2];
+
+		const t = ((pn[0] - o[0]) * dx + (pn[1] - o[1]) * dy + (pn[2] - o[2]) * dz) / (dx * dx + dy * dy + dz * dz);
+
+		return t > 0.0 ? t : 0.0;
+	}
+
+	/**
+	 * Returns the point on the instance closest to p
+	 * @param {Vector3} p - The point
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	closestPoint(p, target) {
+		return this.pointAt(this.closestDistance(p), target);
+	}
+
+	/**
+	 * Returns the square of the distance between the instance and p
+	 * @param {Vector3} p - The point
+	 * @returns {number}
+	 */
+	distanceSquared(p) {
+		const o = this.origin.n, d = this.direction.n, pn = p.n;
+		const t = this.closestDistance(p);
+
+		const x = o[0] + d[0] * t - pn[0];
+		const y = o[1] + d[1] * t - pn[1];
+		const z = o[2] + d[2] * t - pn[2];
+
+		return x * x + y * y + z * z;
+	}
+
+	/**
+	 * Returns the distance between the instance and p
+	 * @param {Vector3} p - The point
+	 * @returns {number}
+	 */
+	distance(p) {
+		return Math.sqrt(this.distanceSquared(p));
+	}
+
+
+	/**
+	 * Returns the distance of the intersection with the plane (normal,dist)
+	 * Beware: method is NOT chainable
+	 * The plane is defined as all points p where (p dot normal) === dist
+	 * Returns null if the instance is parallel to or pointing away from the plane
+	 * @param {Vector3} normal - The plane normal
+	 * @param {number} dist - The plane distance from the origin
+	 * @param {Vector3} [point] - The intersection point target instance
+	 * @returns {number|null}
+	 */
+	intersectPlane(normal, dist, point) {
+		const o = this.origin.n, d = this.direction.n, nn = normal.n;
+		const nx = nn[0], ny = nn[1], nz = nn[2];
+
+		const denom = d[0] * nx + d[1] * ny + d[2] * nz;
+
+		if (Math.abs(denom) < 1.0e-10) return null;
+
+		const t = (dist - o[0] * nx - o[1] * ny - o[2] * nz) / denom;
+
+		if (t < 0.0) return null;
+
+		if (point !== undefined) this.pointAt(t, point);
+
+		return t;
+	}
+
+	/**
+	 * Returns the distance of the intersection with plane p
+	 * Beware: method is NOT chainable
+	 * Returns null if the instance is parallel to or pointing away from the plane
+	 * @param {Plane3} p - The plane
+	 * @param {Vector3} [point] - The intersection point target instance
+	 * @returns {number|null}
+	 */
+	intersectPlane3(p, point) {
+		return this.intersectPlane(p.normal, p.dist, point);
+	}
+
+	/**
+	 * Returns the distance of the first intersection with the sphere (center,radius)
+	 * Beware: method is NOT chainable
+	 * Returns the distance of the exit point if the origin is inside the sphere
+	 * Returns null if the instance misses the sphere
+	 * @param {Vector3} center - The sphere center
+	 * @param {number} radius - The sphere radius
+	 * @param {Vector3} [point] - The intersection point target instance
+	 * @returns {number|null}
+	 */
+	intersectSphere(center, radius, point) {
+		const o = this.origin.n, d = this.direction.n, cn = center.n;
+		const dx = d[0], dy = d[1], dz = d[2];
+		const ox = o[0] - cn[0], oy = o[1] - cn[1], oz = o[2] - cn[2];
+
+		const a = dx * dx + dy * dy + dz * dz;
+		const b = ox * dx + oy * dy + oz * dz;
+		const c = ox * ox + oy * oy + oz * oz - radius * radius;
+
+		if (c > 0.0 && b > 0.0) return null;
+
+		const disc = b * b - a * c;
+
+		if (disc < 0.0) return null;
+
+		const root = Math.sqrt(disc);
+		let t = (-b - root) / a;
+
+		if (t < 0.0) t = (-b + root) / a;
+
+		if (point !== undefined) this.pointAt(t, point);
+
+		return t;
+	}
+
+	/**
+	 * Returns the distance of the first intersection with sphere s
+	 * Beware: method is NOT chainable
+	 * Returns the distance of the exit point if the origin is inside the sphere
+	 * Returns null if the instance misses the sphere
+	 * @param {Sphere3} s - The sphere
+	 * @param {Vector3} [point] - The intersection point target instance
+	 * @returns {number|null}
+	 */
+	intersectSphere3(s, point) {
+		return this.intersectSphere(s.center, s.radius, point);
+	}
+
+	/**
+	 * Returns the distance of the first intersection with the axis-aligned box (min,max)
+	 * Beware: method is NOT chainable
+	 * Returns 0.0 if the origin is inside the box
+	 * Returns null if the instance misses the box
+	 * @param {Vector3} min - The minimal corner
+	 * @param {Vector3} max - The maximal corner
+	 * @param {Vector3} [point] - The intersection point target instance
+	 * @returns {number|null}
+	 */
+	intersectBox(min, max, point) {
+		const o = this.origin.n, d = this.direction.n, minN = min.n, maxN = max.n;
+		let tmin = 0.0, tmax = Number.POSITIVE_INFINITY;
+
+		for (let i = 0; i < 3; i += 1) {
+			if (Math.abs(d[i]) < 1.0e-10) {
+				if (o[i] < minN[i] || o[i] > maxN[i]) return null;
+
+				continue;
+			}
+
+			const inv = 1.0 / d[i];
+			let t0 = (minN[i] - o[i]) * inv, t1 = (maxN[i] - o[i]) * inv;
+
+			if (t0 > t1) [t0, t1] = [t1, t0];
+
+			if (t0 > tmin) tmin = t0;
+
+			if (t1 < tmax) tmax = t1;
+
+			if (tmin > tmax) return null;
+		}
+
+		if (point !== undefined) this.pointAt(tmin, point);
+
+		return tmin;
+	}
+
+	/**
+	 * Returns the distance of the first intersection with box b
+	 * Beware: method is NOT chainable
+	 * Returns 0.0 if the origin is inside the box
+	 * Returns null if the instance misses the box
+	 * @param {Box3} b - The box
+	 * @param {Vector3} [point] - The intersection point target instance
+	 * @returns {number|null}
+	 */
+	intersectBox3(b, point) {
+		return this.intersectBox(b.min, b.max, point);
+	}
+
+	/**
+	 * Returns the distance of the intersection with triangle (v0,v1,v2)
+	 * Beware: method is NOT chainable
+	 * Using the Möller-Trumbore algorithm, both faces of the triangle are tested
+	 * Returns null if the instance misses the triangle
+	 * @param {Vector3} v0 - The first corner
+	 * @param {Vector3} v1 - The second corner
+	 * @param {Vector3} v2 - The third corner
+	 * @param {Vector3} [point] - The intersection point target instance
+	 * @returns {number|null}
+	 */
+	intersectTriangle(v0, v1, v2, point) {
+		const e1 = Vector3.Subtract(v1, v0), e2 = Vector3.Subtract(v2, v0);
+		const p = Vector3.Cross(this.direction, e2);
+		const det = Vector3.dot(e1, p);
+
+		if (Math.abs(det) < 1.0e-10) return null;
+
+		const inv = 1.0 / det;
+		const s = Vector3.Subtract(this.origin, v0);
+		const u = Vector3.dot(s, p) * inv;
+
+		if (u < 0.0 || u > 1.0) return null;
+
+		const q = Vector3.Cross(s, e1);
+		const v = Vector3.dot(this.direction, q) * inv;
+
+		if (v < 0.0 || u + v > 1.0) return null;
+
+		const t = Vector3.dot(e2, q) * inv;
+
+		if (t < 0.0) return null;
+
+		if (point !== undefined) this.pointAt(t, point);
+
+		return t;
+	}
+
+
+	/**
+	 * The copy of r
+	 * @param {Ray3} r - The source
+	 * @returns {Ray3}
+	 */
+	copyOf(r) {
+		this.origin = Vector3.Copy(r.origin);
+		this.direction = Vector3.Copy(r.direction);
+
+		return this;
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		return `[Ray3](${ this.origin.toString(digits) } ${ this.direction.toString(digits) })`;
+	}
+}
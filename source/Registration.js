@@ -0,0 +1,158 @@
+import Vector3 from './Vector3';
+import Vector4 from './Vector4';
+import Matrix3 from './Matrix3';
+import Matrix4 from './Matrix4';
+
+
+
+/**
+ * Rigid and similarity registration of point sets
+ * The residual of all registrations is the root mean square of the distances between the transformed source points and their destination points
+ */
+const Registration = {};
+
+
+
+/**
+ * Returns the least squares rigid or similarity transform mapping the points of source onto the corresponding points of destination
+ * Using the singular value decomposition of the cross-covariance (kabsch), including the uniform scale if scale is true (umeyama)
+ * Reflections are never returned, source and destination must contain at least three non-colinear points
+ * @param {Vector3[]} source - The source points
+ * @param {Vector3[]} destination - The destination points, corresponding by index
+ * @param {boolean} [scale=false] - true if a uniform scale should be estimated, false otherwise
+ * @returns {Array} [transform {Matrix4}, rotation {Vector4}, residual {number}] - The transform (translation*rotation*scale), the unit-quaternion rotation and the residual
+ */
+Registration.align = function(source, destination, scale = false) {
+	const l = Math.min(source.length, destination.length);
+	const from = _centroid(source, l), to = _centroid(destination, l);
+	const cov = new Array(9).fill(0.0);
+	let variance = 0.0;
+
+	for (let i = 0; i < l; i += 1) {
+		const s = Vector3.Subtract(source[i], from).n, d = Vector3.Subtract(destination[i], to).n;
+
+		for (let c = 0; c < 3; c += 1) {
+			for (let r = 0; r < 3; r += 1) cov[c * 3 + r] += d[r] * s[c];
+		}
+
+		variance += s[0] * s[0] + s[1] * s[1] + s[2] * s[2];
+	}
+
+	const [u, sigma, v] = new Matrix3(cov).svd();
+	const sn = sigma.n;
+
+	if (u.determinant * v.determinant < 0.0) {
+		const un = u.n;
+
+		un[6] = -un[6], un[7] = -un[7], un[8] = -un[8], sn[2] = -sn[2];
+	}
+
+	const rotation = Matrix3.Multiply(u, Matrix3.Transpose(v));
+	const f = scale && variance !== 0.0 ? (sn[0] + sn[1] + sn[2]) / variance : 1.0;
+	const translation = Vector3.Subtract(to, Vector3.MultiplyMatrix3(rotation, from).multiplyScalarEQ(f));
+	const rn = rotation.n;
+
+	const transform = Matrix4.Vector3(
+		new Vector3(rn.slice(0, 3)).multiplyScalarEQ(f),
+		new Vector3(rn.slice(3, 6)).multiplyScalarEQ(f),
+		new Vector3(rn.slice(6, 9)).multiplyScalarEQ(f),
+		translation
+	);
+
+	return [transform, Vector4.Matrix3(rotation), _residual(transform, source, destination, l)];
+};
+
+/**
+ * Returns the rigid or similarity transform mapping the points of source onto the unordered points of destination
+ * Using iterative closest points, each iteration aligns source to the destination points closest to the transformed source points, see {@link Registration.align}
+ * The iteration stops when the residual improves by less than tolerance or after iterations
+ * The result is a local minimum, source should be roughly aligned with destination
+ * @param {Vector3[]} source - The source points
+ * @param {Vector3[]} destination - The destination points
+ * @param {boolean} [scale=false] - true if a uniform scale should be estimated, false otherwise
+ * @param {int} [iterations=50] - The maximal number of iterations
+ * @param {number} [tolerance=1.0e-10] - The minimal improvement of the residual
+ * @returns {Array} [transform {Matrix4}, rotation {Vector4}, residual {number}] - The transform (translation*rotation*scale), the unit-quaternion rotation and the residual
+ */
+Registration.icp = function(source, destination, scale = false, iterations = 50, tolerance = 1.0e-10) {
+	let res = [new Matrix4(), new Vector4(), Infinity];
+
+	for (let i = 0; i < iterations; i += 1) {
+		const transform = res[0], closest = [];
+
+		for (let j = 0, l = source.length; j < l; j += 1) {
+			closest.push(_closest(Vector3.Multiply3x4Matrix4(transform, source[j]), destination));
+		}
+
+		const next = Registration.align(source, closest, scale);
+
+		if (next[2] > res[2]) break;
+
+		const improvement = res[2] - next[2];
+
+		res = next;
+
+		if (improvement < tolerance) break;
+	}
+
+	return res;
+};
+
+
+
+export default Registration;
+
+
+
+/**
+ * Returns the centroid of the first l points
+ * @private
+ * @param {Vector3[]} points - The points
+ * @param {int} l - The number of points
+ * @returns {Vector3}
+ */
+function _centroid(points, l) {
+	const res = new Vector3([0.0, 0.0, 0.0]);
+
+	for (let i = 0; i < l; i += 1) res.addEQ(points[i]);
+
+	return l !== 0 ? res.multiplyScalarEQ(1.0 / l) : res;
+}
+
+/**
+ * Returns the point of points closest to p
+ * @private
+ * @param {Vector3} p - The point
+ * @param {Vector3[]} points - The candidates
+ * @returns {Vector3}
+ */
+function _closest(p, points) {
+	let res = points[0], min = Infinity;
+
+	for (let i = 0, l = points.length; i < l; i += 1) {
+		const d = Vector3.Subtract(points[i], p).normSquared;
+
+		if (d < min) res = points[i], min = d;
+	}
+
+	return res;
+}
+
+/**
+ * Returns the root mean square of the distances between the first l transformed source points and their destination points
+ * @private
+ * @param {Matrix4} transform - The transform
+ * @param {Vector3[]} source - The source points
+ * @param {Vector3[]} destination - The destination points
+ * @param {int} l - The number of points
+ * @returns {number}
+ */
+function _residual(transform, source, destination, l) {
+	let sum = 0.0;
+
+	for (let i = 0; i < l; i += 1) {
+		sum += Vector3.Multiply3x4Matrix4(transform, source[i]).subtractEQ(destination[i]).normSquared;
+	}
+
+	return l !== 0 ? Math.sqrt(sum / l) : 0.0;
+}
@@ -0,0 +1,394 @@
+import Vector3 from './Vector3';
+
+
+
+/**
+ * Three dimensional sphere
+ */
+export default class Sphere3 {
+
+	/**
+	 * Returns an instance approximately enclosing points
+	 * Using the algorithm of Jack Ritter - the instance is an approximation and may be considerably larger than the minimal sphere
+	 * @param {Vector3[]} points - The points
+	 * @param {Sphere3} [target] - The target instance
+	 * @returns {Sphere3}
+	 */
+	static Ritter(points, target) {
+		if (target === undefined) target = new Sphere3();
+
+		const l = points.length;
+
+		if (l === 0) return target.define();
+
+		let a = points[0], b = a, dist = 0.0;
+
+		for (let i = 1; i < l; i += 1) {
+			const d = Vector3.Subtract(points[i], a).normSquared;
+
+			if (d > dist) b = points[i], dist = d;
+		}
+
+		dist = 0.0;
+
+		for (let i = 0; i < l; i += 1) {
+			const d = Vector3.Subtract(points[i], b).normSquared;
+
+			if (d > dist) a = points[i], dist = d;
+		}
+
+		target.define(Vector3.Add(a, b).multiplyScalarEQ(0.5), Math.sqrt(dist) * 0.5);
+
+		for (let i = 0; i < l; i += 1) target.expandEQ(points[i]);
+
+		return target;
+	}
+
+	/**
+	 * Returns the minimal instance enclosing points
+	 * Using the algorithm of Emo Welzl on a randomly ordered copy of points
+	 * @param {Vector3[]} points - The points
+	 * @param {Sphere3} [target] - The target instance
+	 * @returns {Sphere3}
+	 */
+	static Welzl(points, target) {
+		if (target === undefined) target = new Sphere3();
+
+		const l = points.length;
+
+		if (l === 0) return target.define();
+
+		const shuffled = points.slice(0);
+
+		for (let i = l - 1; i > 0; i -= 1) {
+			const j = Math.floor(Math.random() * (i + 1));
+
+			[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+		}
+
+		return target.copyOf(_welzl(shuffled, l, []));
+	}
+
+
+	/**
+	 * Returns the minimal sphere enclosing a and b
+	 * @param {Sphere3} a - The first sphere
+	 * @param {Sphere3} b - The second sphere
+	 * @param {Sphere3} [target] - The target instance
+	 * @returns {Sphere3}
+	 */
+	static Union(a, b, target) {
+		return (target === undefined ? new Sphere3() : target).union(a, b);
+	}
+
+	/**
+	 * Returns the minimal sphere enclosing s and point p
+	 * @param {Sphere3} s - The sphere
+	 * @param {Vector3} p - The point
+	 * @param {Sphere3} [target] - The target instance
+	 * @returns {Sphere3}
+	 */
+	static Expand(s, p, target) {
+		return (target === undefined ? new Sphere3() : target).expand(s, p);
+	}
+
+	/**
+	 * Returns the enclosing sphere of the 3x4 transformation of s (m*s)
+	 * Components 3x are assumed to be (0.0,0.0,0.0,1.0)
+	 * @param {Matrix4} m - The transform
+	 * @param {Sphere3} s - The sphere
+	 * @param {Sphere3} [target] - The target instance
+	 * @returns {Sphere3}
+	 */
+	static Multiply3x4Matrix4(m, s, target) {
+		return (target === undefined ? new Sphere3() : target).multiply3x4Matrix4(m, s);
+	}
+
+	/**
+	 * Returns a copy of s
+	 * @param {Sphere3} s - The source
+	 * @param {Sphere3} [target] - The target instance
+	 * @returns {Sphere3}
+	 */
+	static Copy(s, target) {
+		return (target === undefined ? new Sphere3() : target).copyOf(s);
+	}
+
+
+	/**
+	 * Returns true if s and t are equal, false otherwise (s==t)
+	 * @param {Sphere3} s - The protagonist
+	 * @param {Sphere3} t - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(s, t) {
+		return s === t || s.radius === t.radius && Vector3.isEQ(s.center, t.center);
+	}
+
+	/**
+	 * Returns true if s and t overlap, false otherwise
+	 * @param {Sphere3} s - The protagonist
+	 * @param {Sphere3} t - The antagonist
+	 * @returns {boolean}
+	 */
+	static isOverlap(s, t) {
+		const r = s.radius + t.radius;
+
+		return Vector3.Subtract(s.center, t.center).normSquared <= r * r;
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {Vector3} [center] - The center
+	 * @param {number} [radius=0.0] - The radius
+	 * Omitting the center will return a sphere centered at (0.0,0.0,0.0)
+	 */
+	constructor(center, radius) {
+		this.define(center, radius);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {Vector3} [center] - The center
+	 * @param {number} [radius=0.0] - The radius
+	 * @returns {Sphere3}
+	 */
+	define(center, radius = 0.0) {
+		/**
+		 * The center
+		 * @type {Vector3}
+		 */
+		this.center = center !== undefined ? center : new Vector3();
+
+		/**
+		 * The radius
+		 * @type {number}
+		 */
+		this.radius = radius;
+
+		return this;
+	}
+
+
+	/**
+	 * Returns the signed distance between the surface of the instance and p
+	 * Points inside the instance have negative distances
+	 * @param {Vector3} p - The point
+	 * @returns {number}
+	 */
+	distance(p) {
+		return Vector3.Subtract(p, this.center).norm - this.radius;
+	}
+
+	/**
+	 * Returns true if p is inside the instance, false otherwise
+	 * @param {Vector3} p - The point
+	 * @returns {boolean}
+	 */
+	containsVector3(p) {
+		const r = this.radius;
+
+		return Vector3.Subtract(p, this.center).normSquared <= r * r;
+	}
+
+	/**
+	 * Returns true if s is inside the instance, false otherwise
+	 * @param {Sphere3} s - The sphere
+	 * @returns {boolean}
+	 */
+	containsSphere3(s) {
+		const r = this.radius - s.radius;
+
+		return r >= 0.0 && Vector3.Subtract(s.center, this.center).normSquared <= r * r;
+	}
+
+
+	/**
+	 * The minimal sphere enclosing a and b
+	 * @param {Sphere3} a - The first sphere
+	 * @param {Sphere3} b - The second sphere
+	 * @returns {Sphere3}
+	 */
+	union(a, b) {
+		const ar = a.radius, br = b.radius;
+		const v = Vector3.Subtract(b.center, a.center);
+		const d = v.norm;
+
+		if (d + br <= ar) return this.copyOf(a);
+
+		if (d + ar <= br) return this.copyOf(b);
+
+		const r = (d + ar + br) * 0.5;
+
+		this.center = v.multiplyScalarEQ((r - ar) / d).addEQ(a.center);
+		this.radius = r;
+
+		return this;
+	}
+
+	/**
+	 * The minimal sphere enclosing s and point p
+	 * @param {Sphere3} s - The sphere
+	 * @param {Vector3} p - The point
+	 * @returns {Sphere3}
+	 */
+	expand(s, p) {
+		const sr = s.radius;
+		const v = Vector3.Subtract(p, s.center);
+		const d = v.norm;
+
+		if (d <= sr) return this.copyOf(s);
+
+		const r = (d + sr) * 0.5;
+
+		this.center = v.multiplyScalarEQ((r - sr) / d).addEQ(s.center);
+		this.radius = r;
+
+		return this;
+	}
+
+	/**
+	 * The enclosing sphere of the 3x4 transformation of s (m*s)
+	 * Components 3x are assumed to be (0.0,0.0,0.0,1.0)
+	 * The radius is scaled by the maximal scale of m
+	 * @param {Matrix4} m - The transform
+	 * @param {Sphere3} s - The sphere
+	 * @returns {Sphere3}
+	 */
+	multiply3x4Matrix4(m, s) {
+		const n = m.n;
+
+		const sx = n[0] * n[0] + n[1] * n[1] + n[2]  * n[2];
+		const sy = n[4] * n[4] + n[5] * n[5] + n[6]  * n[6];
+		const sz = n[8] * n[8] + n[9] * n[9] + n[10] * n[10];
+
+		this.radius = s.radius * Math.sqrt(Math.max(sx, sy, sz));
+		this.center = Vector3.Multiply3x4Matrix4(m, s.center);
+
+		return this;
+	}
+
+	/**
+	 * The copy of s
+	 * @param {Sphere3} s - The source
+	 * @returns {Sphere3}
+	 */
+	copyOf(s) {
+		this.center = Vector3.Copy(s.center);
+		this.radius = s.radius;
+
+		return this;
+	}
+
+
+	/**
+	 * The minimal sphere enclosing the instance and s
+	 * @param {Sphere3} s - The sphere
+	 * @returns {Sphere3}
+	 */
+	unionEQ(s) {
+		return this.union(this, s);
+	}
+
+	/**
+	 * The minimal sphere enclosing the instance and point p
+	 * @param {Vector3} p - The point
+	 * @returns {Sphere3}
+	 */
+	expandEQ(p) {
+		return this.expand(this, p);
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		return `[Sphere3](${ this.center.toString(digits) } ${ this.radius.toFixed(digits) })`;
+	}
+}
+
+
+
+/**
+ * Returns the minimal sphere through the support points
+ * Returns null if the support points are degenerate
+ * @private
+ * @param {Vector3[]} support - The support points
+ * @returns {Sphere3|null}
+ */
+function _circumsphere(support) {
+	const a = support[0], l = support.length;
+
+	if (l === 1) return new Sphere3(Vector3.Copy(a), 0.0);
+
+	const u = Vector3.Subtract(support[1], a);
+
+	if (l === 2) return new Sphere3(Vector3.MultiplyScalar(u, 0.5).addEQ(a), u.norm * 0.5);
+
+	const v = Vector3.Subtract(support[2], a);
+	const uv = Vector3.Cross(u, v);
+	let offset;
+
+	if (l === 3) {
+		const d = 2.0 * uv.normSquared;
+
+		if (d < 1.0e-20) return null;
+
+		offset = Vector3
+			.Cross(uv, u)
+			.multiplyScalarEQ(v.normSquared)
+			.addEQ(Vector3.Cross(v, uv).multiplyScalarEQ(u.normSquared))
+			.multiplyScalarEQ(1.0 / d);
+	}
+	else {
+		const t = Vector3.Subtract(support[3], a);
+		const d = 2.0 * Vector3.dot(t, uv);
+
+		if (Math.abs(d) < 1.0e-20) return null;
+
+		offset = Vector3
+			.Cross(v, t)
+			.multiplyScalarEQ(u.normSquared)
+			.addEQ(Vector3.Cross(t, u).multiplyScalarEQ(v.normSquared))
+			.addEQ(uv.multiplyScalarEQ(t.normSquared))
+			.multiplyScalarEQ(1.0 / d);
+	}
+
+	const radius = offset.norm;
+
+	return new Sphere3(offset.addEQ(a), radius);
+}
+
+/**
+ * Returns the minimal sphere enclosing the first l points and passing through the support points
+ * Using the incremental form of the algorithm of Emo Welzl, recursing only when a point lies outside the current sphere
+ * The expected linear time requires points to be randomly ordered, see {@link Sphere3.Welzl}
+ * @private
+ * @param {Vector3[]} points - The points
+ * @param {int} l - The number of points
+ * @param {Vector3[]} support - The support points
+ * @returns {Sphere3}
+ */
+function _welzl(points, l, support) {
+	let sphere = support.length !== 0 ? _circumsphere(support) : new Sphere3(Vector3.Copy(points[0]), 0.0);
+
+	for (let i = support.length !== 0 ? 0 : 1; i < l; i += 1) {
+		const p = points[i];
+
+		if (sphere.distance(p) <= sphere.radius * 1.0e-10) continue;
+
+		const boundary = support.concat(p);
+
+		sphere = boundary.length === 4 ? _circumsphere(boundary) : _welzl(points, i, boundary);
+
+		if (sphere === null) sphere = Sphere3.Ritter(points.slice(0, i + 1).concat(support));
+	}
+
+	return sphere;
+}
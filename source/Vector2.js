@@ -1,3 +1,8 @@
+import Decomposition from './Decomposition';
+import Components from './Components';
+
+
+
 /**
  * Two component vector
  */
@@ -12,7 +17,7 @@ export default class Vector2 {
 		const n = [1.0, 0.0];
 
 		if (target === undefined) target = new Vector2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -26,7 +31,7 @@ export default class Vector2 {
 		const n = [0.0, 1.0];
 
 		if (target === undefined) target = new Vector2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -44,7 +49,7 @@ export default class Vector2 {
 		];
 
 		if (target === undefined) target = new Vector2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -69,7 +74,7 @@ export default class Vector2 {
 		];
 
 		if (target === undefined) target = new Vector2(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -131,7 +136,8 @@ export default class Vector2 {
 	}
 
 	/**
-	 * Returns the transformation of v (m*v)
+	 * Returns the projective transformation of v (m*v)
+	 * Including the perspective divide, see {@link Matrix3.Homography}
 	 * @param {Matrix3} m - The transform
 	 * @param {Vector2} v - The vector
 	 * @param {Vector2} [target] - The target instance
@@ -141,6 +147,19 @@ export default class Vector2 {
 		return (target === undefined ? new Vector2() : target).multiplyMatrix3(m, v);
 	}
 
+	/**
+	 * Returns the solution x of m*x=b
+	 * Using gauss elimination with partial pivoting, see {@link Matrix2#lu}
+	 * Throws an Error if m is singular or ill-conditioned, see {@link Matrix2#condition}
+	 * @param {Matrix2} m - The matrix
+	 * @param {Vector2} b - The right-hand side
+	 * @param {Vector2} [target] - The target instance
+	 * @returns {Vector2}
+	 */
+	static Solve(m, b, target) {
+		return (target === undefined ? new Vector2() : target).solve(m, b);
+	}
+
 	/**
 	 * Returns the orthogonal projection of w on v
 	 * @param {Vector2} v - The projection vector
@@ -229,21 +248,21 @@ export default class Vector2 {
 
 	/**
 	 * Creates a new instance
-	 * @param {number[]} [n] - Array representing the two components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the two components
 	 * Arrays of length !== 2 will return the zero (0,0) vector
 	 */
 	constructor(n) {
 		/**
 		 * The component array
-		 * @type {number[]}
+		 * @type {number[]|Float32Array|Float64Array}
 		 */
-		this.n = (n && n.constructor === Array && n.length === 2 ? n : [0.0, 0.0]);
+		this.n = (Components.isArray(n, 2) ? n : [0.0, 0.0]);
 	}
 
 
 	/**
 	 * Redefines the instance
-	 * @param {number[]} n - Array representing the two components
+	 * @param {number[]|Float32Array|Float64Array} n - Array representing the two components
 	 * @returns {Vector2}
 	 */
 	define(n) {
@@ -395,7 +414,8 @@ export default class Vector2 {
 	}
 
 	/**
-	 * The transformation of v (m*v)
+	 * The projective transformation of v (m*v)
+	 * Including the perspective divide, see {@link Matrix3.Homography}
 	 * @param {Matrix3} m - The transform
 	 * @param {Vector2} v - The vector
 	 * @returns {Vector2}
@@ -410,6 +430,20 @@ export default class Vector2 {
 		return this;
 	}
 
+	/**
+	 * The solution x of m*x=b
+	 * Using gauss elimination with partial pivoting, see {@link Matrix2#lu}
+	 * Throws an Error if m is singular or ill-conditioned, see {@link Matrix2#condition}
+	 * @param {Matrix2} m - The matrix
+	 * @param {Vector2} b - The right-hand side
+	 * @returns {Vector2}
+	 */
+	solve(m, b) {
+		Components.assign(this.n, Decomposition.solve(m.n, b.n, 2));
+
+		return this;
+	}
+
 	/**
 	 * The orthogonal projection of w on v
 	 * @param {Vector2} v - The projection vector
@@ -544,7 +578,7 @@ export default class Vector2 {
 	 * @returns {Vector2}
 	 */
 	copyOf(v) {
-		this.n = v.n.slice(0, 2);
+		Components.assign(this.n, v.n);
 
 		return this;
 	}
@@ -585,7 +619,7 @@ export default class Vector2 {
 	 * @returns {string}
 	 */
 	toString(digits = 3) {
-		const str = this.n
+		const str = Array.from(this.n)
 			.map((item, index, source) => item.toFixed(digits))
 			.join(" ");
 
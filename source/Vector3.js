@@ -1,3 +1,8 @@
+import Decomposition from './Decomposition';
+import Components from './Components';
+
+
+
 /**
  * Three component vector
  */
@@ -12,7 +17,7 @@ export default class Vector3 {
 		const n = [1.0, 0.0, 0.0];
 
 		if (target === undefined) target = new Vector3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -26,7 +31,7 @@ export default class Vector3 {
 		const n = [0.0, 1.0, 0.0];
 
 		if (target === undefined) target = new Vector3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -40,7 +45,7 @@ export default class Vector3 {
 		const n = [0.0, 0.0, 1.0];
 
 		if (target === undefined) target = new Vector3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -64,7 +69,7 @@ export default class Vector3 {
 		];
 
 		if (target === undefined) target = new Vector3(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -148,6 +153,31 @@ export default class Vector3 {
 	}
 
 
+	/**
+	 * Returns the rotation of v by unit-quaternion q (q*v*q')
+	 * @param {Vector4} q - The rotation
+	 * @param {Vector3} v - The vector
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	static MultiplyVector4(q, v, target) {
+		return (target === undefined ? new Vector3() : target).multiplyVector4(q, v);
+	}
+
+	/**
+	 * Returns the solution x of m*x=b
+	 * Using gauss elimination with partial pivoting, see {@link Matrix3#lu}
+	 * Throws an Error if m is singular or ill-conditioned, see {@link Matrix3#condition}
+	 * @param {Matrix3} m - The matrix
+	 * @param {Vector3} b - The right-hand side
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	static Solve(m, b, target) {
+		return (target === undefined ? new Vector3() : target).solve(m, b);
+	}
+
+
 	/**
 	 * Returns the projection of w on v
 	 * @param {Vector3} v - The projection vector
@@ -159,6 +189,17 @@ export default class Vector3 {
 		return (target === undefined ? new Vector3() : target).project(v, w);
 	}
 
+	/**
+	 * Returns the orthogonal projection of v on plane p
+	 * @param {Plane3} p - The projection plane
+	 * @param {Vector3} v - The projected vector
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	static ProjectPlane3(p, v, target) {
+		return (target === undefined ? new Vector3() : target).projectPlane3(p, v);
+	}
+
 	/**
 	 * Returns the orthonormalization of w against v
 	 * @param {Vector3} v - The projection vector
@@ -249,21 +290,21 @@ export default class Vector3 {
 
 	/**
 	 * Creates a new instance
-	 * @param {number[]} [n] - Array representing the three components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the three components
 	 * Arrays of length !== 3 will return the zero (0.0,0.0,0.0) vector
 	 */
 	constructor(n) {
 		/**
 		 * The component array
-		 * @type {number[]}
+		 * @type {number[]|Float32Array|Float64Array}
 		 */
-		this.n = (n && n.constructor === Array && n.length === 3 ? n : [0.0, 0.0, 0.0]);
+		this.n = (Components.isArray(n, 3) ? n : [0.0, 0.0, 0.0]);
 	}
 
 
 	/**
 	 * Redefines the instance
-	 * @param {number[]} [n] - Array representing the three components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the three components
 	 * Arrays of length !== 3 will return the zero (0.0,0.0,0.0) vector
 	 * @returns {Vector3}
 	 */
@@ -440,6 +481,41 @@ export default class Vector3 {
 		return this;
 	}
 
+	/**
+	 * The rotation of v by unit-quaternion q (q*v*q')
+	 * @param {Vector4} q - The rotation
+	 * @param {Vector3} v - The vector
+	 * @returns {Vector3}
+	 */
+	multiplyVector4(q, v) {
+		const qx = q.n[0], qy = q.n[1], qz = q.n[2], qw = q.n[3];
+		const x = v.n[0], y = v.n[1], z = v.n[2];
+
+		const tx = 2.0 * (qy * z - qz * y);
+		const ty = 2.0 * (qz * x - qx * z);
+		const tz = 2.0 * (qx * y - qy * x);
+
+		this.n[0] = x + qw * tx + qy * tz - qz * ty;
+		this.n[1] = y + qw * ty + qz * tx - qx * tz;
+		this.n[2] = z + qw * tz + qx * ty - qy * tx;
+
+		return this;
+	}
+
+	/**
+	 * The solution x of m*x=b
+	 * Using gauss elimination with partial pivoting, see {@link Matrix3#lu}
+	 * Throws an Error if m is singular or ill-conditioned, see {@link Matrix3#condition}
+	 * @param {Matrix3} m - The matrix
+	 * @param {Vector3} b - The right-hand side
+	 * @returns {Vector3}
+	 */
+	solve(m, b) {
+		Components.assign(this.n, Decomposition.solve(m.n, b.n, 3));
+
+		return this;
+	}
+
 	/**
 	 * The projection of w on v
 	 * @param {Vector3} v - The projection vector
@@ -456,6 +532,22 @@ export default class Vector3 {
 		return this;
 	}
 
+	/**
+	 * The orthogonal projection of v on plane p
+	 * @param {Plane3} p - The projection plane
+	 * @param {Vector3} v - The projected vector
+	 * @returns {Vector3}
+	 */
+	projectPlane3(p, v) {
+		const pn = p.normal.n, px = pn[0], py = pn[1], pz = pn[2];
+		const vn = v.n, vx = vn[0], vy = vn[1], vz = vn[2];
+		const n = this.n, d = vx * px + vy * py + vz * pz - p.dist;
+
+		n[0] = vx - px * d, n[1] = vy - py * d, n[2] = vz - pz * d;
+
+		return this;
+	}
+
 	/**
 	 * The orthonormalization of w against v
 	 * Gram-Schmidt-Normalization: t -= n * (t dot n)
@@ -473,6 +565,38 @@ export default class Vector3 {
 		return this;
 	}
 
+	/**
+	 * The componentwise minimum of v and w (min(v,w))
+	 * @param {Vector3} v - The first vector
+	 * @param {Vector3} w - The second vector
+	 * @returns {Vector3}
+	 */
+	minXYZ(v, w) {
+		const vn = v.n, wn = w.n;
+
+		this.n[0] = vn[0] < wn[0] ? vn[0] : wn[0];
+		this.n[1] = vn[1] < wn[1] ? vn[1] : wn[1];
+		this.n[2] = vn[2] < wn[2] ? vn[2] : wn[2];
+
+		return this;
+	}
+
+	/**
+	 * The componentwise maximum of v and w (max(v,w))
+	 * @param {Vector3} v - The first vector
+	 * @param {Vector3} w - The second vector
+	 * @returns {Vector3}
+	 */
+	maxXYZ(v, w) {
+		const vn = v.n, wn = w.n;
+
+		this.n[0] = vn[0] > wn[0] ? vn[0] : wn[0];
+		this.n[1] = vn[1] > wn[1] ? vn[1] : wn[1];
+		this.n[2] = vn[2] > wn[2] ? vn[2] : wn[2];
+
+		return this;
+	}
+
 
 	/**
 	 * The sum of the instance and w
@@ -566,7 +690,7 @@ export default class Vector3 {
 	 * @returns {Vector3}
 	 */
 	copyOf(v) {
-		this.n = v.n.slice(0, 3);
+		Components.assign(this.n, v.n);
 
 		return this;
 	}
@@ -595,7 +719,7 @@ export default class Vector3 {
 	 * @returns {string}
 	 */
 	toString(digits = 3) {
-		const str = this.n
+		const str = Array.from(this.n)
 			.map((item, index, source) => item.toFixed(digits))
 			.join(" ");
 
@@ -1,3 +1,10 @@
+import Vector3 from './Vector3';
+import Matrix3 from './Matrix3';
+import Decomposition from './Decomposition';
+import Components from './Components';
+
+
+
 /**
  * Four component vector
  */
@@ -21,13 +28,96 @@ export default class Vector4 {
 		];
 
 		if (target === undefined) target = new this(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
+
+		return target.normalize();
+	}
+
+	/**
+	 * Returns a unit-quaternion instance of the shortest rotation of direction v onto direction w
+	 * Opposite directions will result in a rotation of PI around an arbitrary axis orthogonal to v
+	 * @param {Vector3} v - The source direction
+	 * @param {Vector3} w - The target direction
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static Arc(v, w, target) {
+		const vn = v.n, wn = w.n;
+		const vx = vn[0], vy = vn[1], vz = vn[2], wx = wn[0], wy = wn[1], wz = wn[2];
+		const norm = Math.sqrt((vx * vx + vy * vy + vz * vz) * (wx * wx + wy * wy + wz * wz));
+		const d = vx * wx + vy * wy + vz * wz;
+		let qx, qy, qz, qw = 0.0;
+
+		if (d > -norm * (1.0 - 1.0e-10)) qx = vy * wz - vz * wy, qy = vz * wx - vx * wz, qz = vx * wy - vy * wx, qw = norm + d;
+		else if (Math.abs(vx) < Math.abs(vz)) qx = 0.0, qy = -vz, qz = vy;
+		else qx = -vy, qy = vx, qz = 0.0;
+
+		const n = [
+			qx,
+			qy,
+			qz,
+			qw
+		];
+
+		if (target === undefined) target = new this(n);
+		else Components.assign(target.n, n);
+
+		return target.normalize();
+	}
+
+	/**
+	 * Returns a instance of Linear intERPolation
+	 * @param {Vector4} q - The starting vector
+	 * @param {Vector4} r - The ending vector
+	 * @param {number} t - The interpolation factor
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static LERP(q, r, t, target) {
+		const qn = q.n, rn = r.n, u = 1.0 - t;
+
+		const n = [
+			qn[0] * u + rn[0] * t,
+			qn[1] * u + rn[1] * t,
+			qn[2] * u + rn[2] * t,
+			qn[3] * u + rn[3] * t
+		];
+
+		if (target === undefined) target = new this(n);
+		else Components.assign(target.n, n);
+
+		return target;
+	}
+
+	/**
+	 * Returns a unit-quaternion instance of Normalized Linear intERPolation
+	 * Interpolates along the shortest path, with a non-constant angular velocity
+	 * @param {Vector4} q - The starting <em>unit quaternion</em>
+	 * @param {Vector4} r - The ending <em>unit quaternion</em>
+	 * @param {number} t - The interpolation factor
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static NLERP(q, r, t, target) {
+		const qn = q.n, rn = r.n;
+		const u = 1.0 - t, v = this.dot(q, r) < 0.0 ? -t : t;
+
+		const n = [
+			qn[0] * u + rn[0] * v,
+			qn[1] * u + rn[1] * v,
+			qn[2] * u + rn[2] * v,
+			qn[3] * u + rn[3] * v
+		];
+
+		if (target === undefined) target = new this(n);
+		else Components.assign(target.n, n);
 
 		return target.normalize();
 	}
 
 	/**
 	 * Returns a unit-quaternion instance of Spherical Linear intERPolation
+	 * Interpolates along the shortest path, nearly identical quaternions are interpolated linearly
 	 * @param {Vector4} q - The starting <em>unit quaternion</em>
 	 * @param {Vector4} r - The ending <em>unit quaternion</em>
 	 * @param {number} t - The interpolation factor
@@ -35,28 +125,89 @@ export default class Vector4 {
 	 * @returns {Vector4}
 	 */
 	static SLERP(q, r, t, target) {
-		const qx = q.n[0], qy = q.n[1], qz = q.n[2], qw = q.n[3];
-		const rx = r.n[0], ry = r.n[1], rz = r.n[2], rw = r.n[3];
+		const qn = q.n, rn = r.n, d = this.dot(q, r), sign = d < 0.0 ? -1.0 : 1.0;
+		let u = 1.0 - t, v = t * sign;
 
-		const a = Math.acos(qx * rx + qy * ry + qz * rz + qw * rw);
+		if (d * sign < 1.0 - 1.0e-6) {
+			const a = Math.acos(d * sign), sin = 1.0 / Math.sin(a);
 
-		const sin = 1.0 / Math.sin(a);
-		const sinQ = Math.sin(a * (1.0 - t));
-		const sinR = Math.sin(a * t);
+			u = Math.sin(a * u) * sin;
+			v = Math.sin(a * t) * sin * sign;
+		}
 
 		const n = [
-			sinQ * sin * q.n[0] + sinR * sin * r.n[0],
-			sinQ * sin * q.n[1] + sinR * sin * r.n[1],
-			sinQ * sin * q.n[2] + sinR * sin * r.n[2],
-			sinQ * sin * q.n[3] + sinR * sin * r.n[3]
+			qn[0] * u + rn[0] * v,
+			qn[1] * u + rn[1] * v,
+			qn[2] * u + rn[2] * v,
+			qn[3] * u + rn[3] * v
 		];
 
 		if (target === undefined) target = new this(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
+
+		return target.normalize();
+	}
+
+	/**
+	 * Returns a unit-quaternion instance of Spherical and QUADrangle interpolation
+	 * Interpolates between q and r using the control points a and b, see {@link Vector4.SQUADControl}
+	 * a and r are aligned to the hemisphere of q and b to the hemisphere of r, the interpolations do not take the shortest path within the segment
+	 * @param {Vector4} q - The starting <em>unit quaternion</em>
+	 * @param {Vector4} a - The control point of q
+	 * @param {Vector4} b - The control point of r
+	 * @param {Vector4} r - The ending <em>unit quaternion</em>
+	 * @param {number} t - The interpolation factor
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static SQUAD(q, a, b, r, t, target) {
+		const qn = q.n, rn = _hemisphere(r.n, qn), an = _hemisphere(a.n, qn), bn = _hemisphere(b.n, rn);
+		const n = _slerp(_slerp(qn, rn, t), _slerp(an, bn, t), 2.0 * t * (1.0 - t));
+
+		if (target === undefined) target = new this(n);
+		else Components.assign(target.n, n);
 
 		return target;
 	}
 
+	/**
+	 * Returns a unit-quaternion instance of the SQUAD control point of q
+	 * Using the neighbouring keyframes p and r - the end keyframes of a sequence are their own neighbours
+	 * @param {Vector4} p - The preceding <em>unit quaternion</em>
+	 * @param {Vector4} q - The <em>unit quaternion</em>
+	 * @param {Vector4} r - The succeeding <em>unit quaternion</em>
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static SQUADControl(p, q, r, target) {
+		const inverse = this.Conjugate(q);
+		const lp = this.Log(this.Multiply(this.dot(p, q) < 0.0 ? this.MultiplyScalar(p, -1.0) : p, inverse));
+		const lr = this.Log(this.Multiply(this.dot(r, q) < 0.0 ? this.MultiplyScalar(r, -1.0) : r, inverse));
+
+		return this.Multiply(this.Exp(lp.addEQ(lr).multiplyScalarEQ(-0.25)), q, target);
+	}
+
+	/**
+	 * Returns the SQUAD control points of keyframe sequence keys
+	 * Segment i is interpolated by {@link Vector4.SQUAD}(keys[i], controls[i], controls[i + 1], keys[i + 1], t)
+	 * The controls are computed from keys aligned to the hemisphere of their preceding keys
+	 * @param {Vector4[]} keys - The <em>unit quaternion</em> keyframes
+	 * @returns {Vector4[]}
+	 */
+	static SQUADControls(keys) {
+		const l = keys.length, aligned = [], res = [];
+
+		for (let i = 0; i < l; i += 1) {
+			aligned.push(i === 0 ? keys[0] : new this(_hemisphere(keys[i].n, aligned[i - 1].n)));
+		}
+
+		for (let i = 0; i < l; i += 1) {
+			res.push(this.SQUADControl(aligned[Math.max(i - 1, 0)], aligned[i], aligned[Math.min(i + 1, l - 1)]));
+		}
+
+		return res;
+	}
+
 	/**
 	 * Returns a unit-quaternion instance of a rotation matrix
 	 * @param {Matrix3} m - The source 3x3 transform
@@ -67,7 +218,7 @@ export default class Vector4 {
 		const mn = m.n, n = [0.0, 0.0, 0.0, 1.0];
 		let s = mn[0] + mn[4] + mn[8] + 1.0;
 
-		if (s > 0.0) {
+		if (s > 1.0) {
 			s = Math.sqrt(s), n[3] = 0.5 * s;	// 1/2 sqrt(trace)
 			s = 0.5 / s;	// 1 / (4 * 1/2 sqrt(trace))
 
@@ -78,34 +229,97 @@ export default class Vector4 {
 		else if (mn[0] > mn[4] && mn[0] > mn[8]) {
 			s = 0.5 / Math.sqrt(1.0 + mn[0] - mn[4] - mn[8]);
 
-			n[0] = 0.5 * s;
+			n[0] = 0.25 / s;
 			n[1] = (mn[1] + mn[3]) * s;
 			n[2] = (mn[2] + mn[6]) * s;
-			n[3] = (mn[5] + mn[7]) * s;
+			n[3] = (mn[5] - mn[7]) * s;
 		}
 		else if (mn[4] > mn[8]) {
 			s = 0.5 / Math.sqrt(1.0 + mn[4] - mn[0] - mn[8]);
 
 			n[0] = (mn[1] + mn[3]) * s;
-			n[1] = 0.5 * s;
+			n[1] = 0.25 / s;
 			n[2] = (mn[5] + mn[7]) * s;
-			n[3] = (mn[2] + mn[6]) * s;
+			n[3] = (mn[6] - mn[2]) * s;
 		}
 		else {
 			s = 0.5 / Math.sqrt(1.0 + mn[8] - mn[0] - mn[4]);
 
 			n[0] = (mn[2] + mn[6]) * s;
 			n[1] = (mn[5] + mn[7]) * s;
-			n[2] = 0.5 * s;
-			n[3] = (mn[1] + mn[3]) * s;
+			n[2] = 0.25 / s;
+			n[3] = (mn[1] - mn[3]) * s;
 		}
 
 		if (target === undefined) target = new this(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
 
+	/**
+	 * Returns a unit-quaternion instance of intrinsic euler angles
+	 * @param {number} a - The first rotation in radians
+	 * @param {number} b - The second rotation in radians
+	 * @param {number} c - The third rotation in radians
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3.Euler}
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static Euler(a, b, c, order, target) {
+		return this.Matrix3(Matrix3.Euler(a, b, c, order), target);
+	}
+
+	/**
+	 * Returns a unit-quaternion instance of extrinsic euler angles
+	 * @param {number} a - The first rotation in radians
+	 * @param {number} b - The second rotation in radians
+	 * @param {number} c - The third rotation in radians
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3.EulerExtrinsic}
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static EulerExtrinsic(a, b, c, order, target) {
+		return this.Matrix3(Matrix3.EulerExtrinsic(a, b, c, order), target);
+	}
+
+	/**
+	 * Returns a unit-quaternion instance rotating the negative z-axis towards forward
+	 * The rotated y-axis will be as close to up as possible, see {@link Matrix3.LookRotation}
+	 * @param {Vector3} forward - The forward vector
+	 * @param {Vector3} [up] - The up vector, (0.0,1.0,0.0) if omitted
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static LookRotation(forward, up, target) {
+		return this.Matrix3(Matrix3.LookRotation(forward, up), target);
+	}
+
+	/**
+	 * Returns the swing-twist decomposition of unit-quaternion q around axis
+	 * The twist is the rotation of q around axis, the swing is the remaining rotation around an axis orthogonal to axis
+	 * q is equal to the twist followed by the swing - {@link Vector4.Multiply}(twist, swing)
+	 * @param {Vector4} q - The rotation
+	 * @param {Vector3} axis - The normalized twist axis
+	 * @returns {Vector4[]} [swing, twist]
+	 */
+	static SwingTwist(q, axis) {
+		const qn = q.n, an = axis.n;
+		const d = qn[0] * an[0] + qn[1] * an[1] + qn[2] * an[2];
+
+		const twist = new this([
+			an[0] * d,
+			an[1] * d,
+			an[2] * d,
+			qn[3]
+		]);
+
+		if (twist.normSquared < 1.0e-20) twist.define();
+		else twist.normalize();
+
+		return [this.Multiply(this.Conjugate(twist), q), twist];
+	}
+
 	/**
 	 * Returns a instance of Vector3
 	 * @param {Vector3} v - The source
@@ -113,10 +327,10 @@ export default class Vector4 {
 	 * @returns {Vector4}
 	 */
 	static Vector3(v, target) {
-		const n = v.n.concat(1.0);
+		const n = [...v.n, 1.0];
 
 		if (target === undefined) target = new this(n);
-		else target.n = n;
+		else Components.assign(target.n, n);
 
 		return target;
 	}
@@ -166,6 +380,19 @@ export default class Vector4 {
 		return (target === undefined ? new this() : target).multiply(q, r);
 	}
 
+	/**
+	 * Returns the solution x of m*x=b
+	 * Using gauss elimination with partial pivoting, see {@link Matrix4#lu}
+	 * Throws an Error if m is singular or ill-conditioned, see {@link Matrix4#condition}
+	 * @param {Matrix4} m - The matrix
+	 * @param {Vector4} b - The right-hand side
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static Solve(m, b, target) {
+		return (target === undefined ? new this() : target).solve(m, b);
+	}
+
 
 	/**
 	 * Returns the normal form of q
@@ -197,6 +424,37 @@ export default class Vector4 {
 		return (target === undefined ? new this() : target).inverseOf(q);
 	}
 
+	/**
+	 * Returns the exponential of q (e^q)
+	 * @param {Vector4} q - The source
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static Exp(q, target) {
+		return (target === undefined ? new this() : target).expOf(q);
+	}
+
+	/**
+	 * Returns the natural logarithm of q (ln q)
+	 * @param {Vector4} q - The source
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static Log(q, target) {
+		return (target === undefined ? new this() : target).logOf(q);
+	}
+
+	/**
+	 * Returns q raised to the power of t (q^t)
+	 * @param {Vector4} q - The source
+	 * @param {number} t - The exponent
+	 * @param {Vector4} [target] - The target instance
+	 * @returns {Vector4}
+	 */
+	static Power(q, t, target) {
+		return (target === undefined ? new this() : target).powerOf(q, t);
+	}
+
 	/**
 	 * Returns a copy of q
 	 * @param {Vector4} q - The source
@@ -235,21 +493,21 @@ export default class Vector4 {
 
 	/**
 	 * Creates a new instance
-	 * @param {number[]} [n] - Array representing the four components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the four components
 	 * Arrays of length !== 4 will return the identity (0.0,0.0,0.0,1.0) vector
 	 */
 	constructor(n) {
 		/**
 		 * The component array
-		 * @type {number[]}
+		 * @type {number[]|Float32Array|Float64Array}
 		 */
-		this.n = (n && n.constructor === Array && n.length === 4 ? n : [0.0, 0.0, 0.0, 1.0]);
+		this.n = (Components.isArray(n, 4) ? n : [0.0, 0.0, 0.0, 1.0]);
 	}
 
 
 	/**
 	 * Redefines the instance
-	 * @param {number[]} [n] - Array representing the four components
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the four components
 	 * Arrays of length <em>!== 4</em> will return the identity (0.0,0.0,0.0,1.0) vector
 	 * @returns {Vector4}
 	 */
@@ -333,6 +591,30 @@ export default class Vector4 {
 	}
 
 
+	/**
+	 * The rotation axis of the instance
+	 * Instances without rotation have the axis (1.0,0.0,0.0)
+	 * @type {Vector3}
+	 */
+	get axis() {
+		const n = this.n, x = n[0], y = n[1], z = n[2];
+		const norm = Math.sqrt(x * x + y * y + z * z);
+
+		return norm !== 0.0 ? new Vector3([x / norm, y / norm, z / norm]) : Vector3.X();
+	}
+
+	/**
+	 * The rotation of the instance in radians
+	 * The rotation is within (0,2PI)
+	 * @type {number}
+	 */
+	get angle() {
+		const n = this.n, x = n[0], y = n[1], z = n[2];
+
+		return 2.0 * Math.atan2(Math.sqrt(x * x + y * y + z * z), n[3]);
+	}
+
+
 	/**
 	 * The sum of q and r (q+r)
 	 * @param {Vector4} q - The first summand
@@ -396,6 +678,20 @@ export default class Vector4 {
 		return this;
 	}
 
+	/**
+	 * The solution x of m*x=b
+	 * Using gauss elimination with partial pivoting, see {@link Matrix4#lu}
+	 * Throws an Error if m is singular or ill-conditioned, see {@link Matrix4#condition}
+	 * @param {Matrix4} m - The matrix
+	 * @param {Vector4} b - The right-hand side
+	 * @returns {Vector4}
+	 */
+	solve(m, b) {
+		Components.assign(this.n, Decomposition.solve(m.n, b.n, 4));
+
+		return this;
+	}
+
 
 	/**
 	 * The sum of the instance and q
@@ -462,9 +758,9 @@ export default class Vector4 {
 	 * @returns {Vector4}
 	 */
 	conjugateOf(q) {
-		this.n[0] = -q.n[0] * -1.0;
-		this.n[1] = -q.n[1] * -1.0;
-		this.n[2] = -q.n[2] * -1.0;
+		this.n[0] = -q.n[0];
+		this.n[1] = -q.n[1];
+		this.n[2] = -q.n[2];
 		this.n[3] =  q.n[3];
 
 		return this;
@@ -487,13 +783,61 @@ export default class Vector4 {
 		return this;
 	}
 
+	/**
+	 * The exponential of q (e^q)
+	 * @param {Vector4} q - The source
+	 * @returns {Vector4}
+	 */
+	expOf(q) {
+		const x = q.n[0], y = q.n[1], z = q.n[2], w = q.n[3];
+		const theta = Math.sqrt(x * x + y * y + z * z), exp = Math.exp(w);
+		const f = theta !== 0.0 ? exp * Math.sin(theta) / theta : exp;
+
+		this.n[0] = x * f;
+		this.n[1] = y * f;
+		this.n[2] = z * f;
+		this.n[3] = exp * Math.cos(theta);
+
+		return this;
+	}
+
+	/**
+	 * The natural logarithm of q (ln q)
+	 * The logarithm of unit-quaternions is (axis*angle/2,0.0)
+	 * @param {Vector4} q - The source
+	 * @returns {Vector4}
+	 */
+	logOf(q) {
+		const x = q.n[0], y = q.n[1], z = q.n[2], w = q.n[3];
+		const norm = Math.sqrt(x * x + y * y + z * z);
+		const f = norm !== 0.0 ? Math.atan2(norm, w) / norm : 0.0;
+
+		this.n[0] = x * f;
+		this.n[1] = y * f;
+		this.n[2] = z * f;
+		this.n[3] = 0.5 * Math.log(norm * norm + w * w);
+
+		return this;
+	}
+
+	/**
+	 * q raised to the power of t (q^t)
+	 * The power of unit-quaternions is the rotation around the same axis scaled by t
+	 * @param {Vector4} q - The source
+	 * @param {number} t - The exponent
+	 * @returns {Vector4}
+	 */
+	powerOf(q, t) {
+		return this.logOf(q).multiplyScalarEQ(t).expOf(this);
+	}
+
 	/**
 	 * The copy of q
 	 * @param {Vector4} q - The source
 	 * @returns {Vector4}
 	 */
 	copyOf(q) {
-		this.n = q.n.slice(0, 4);
+		Components.assign(this.n, q.n);
 
 		return this;
 	}
@@ -504,7 +848,7 @@ export default class Vector4 {
 	 * @returns {Vector4}
 	 */
 	normalize() {
-		const n = this.n, x = n[0], y = n[1], z = [2], w = n[3];
+		const n = this.n, x = n[0], y = n[1], z = n[2], w = n[3];
 		let norm = x * x + y * y + z * z + w * w;
 
 		if (norm === 0.0 || norm === 1.0) return this;
@@ -532,13 +876,34 @@ export default class Vector4 {
 	}
 
 
+	/**
+	 * Returns the intrinsic euler angle representation of the instance
+	 * The instance is assumed to be a unit-quaternion
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3#toEuler}
+	 * @returns {number[]}
+	 */
+	toEuler(order) {
+		return Matrix3.Vector4(this).toEuler(order);
+	}
+
+	/**
+	 * Returns the extrinsic euler angle representation of the instance
+	 * The instance is assumed to be a unit-quaternion
+	 * @param {string} [order="XYZ"] - The axis order, see {@link Matrix3#toEulerExtrinsic}
+	 * @returns {number[]}
+	 */
+	toEulerExtrinsic(order) {
+		return Matrix3.Vector4(this).toEulerExtrinsic(order);
+	}
+
+
 	/**
 	 * Returns a string representation of the instance
 	 * @param {int} [digits=3] - The decimal digits
 	 * @returns {string}
 	 */
 	toString(digits = 3) {
-		const str = this.n
+		const str = Array.from(this.n)
 			.map((item, index, source) => item.toFixed(digits))
 			.join(" ");
 
@@ -553,3 +918,49 @@ export default class Vector4 {
 		return this.norm;
 	}
 }
+
+
+
+/**
+ * Returns the components of quaternion n in the hemisphere of quaternion reference
+ * @private
+ * @param {number[]} n - The quaternion components
+ * @param {number[]} reference - The reference quaternion components
+ * @returns {number[]}
+ */
+function _hemisphere(n, reference) {
+	const d = n[0] * reference[0] + n[1] * reference[1] + n[2] * reference[2] + n[3] * reference[3];
+
+	return d < 0.0 ? n.map(item => -item) : n;
+}
+
+/**
+ * Returns the components of the spherical linear interpolation of quaternions qn and rn
+ * Unlike {@link Vector4.SLERP} the interpolation does not take the shortest path
+ * @private
+ * @param {number[]} qn - The starting unit quaternion components
+ * @param {number[]} rn - The ending unit quaternion components
+ * @param {number} t - The interpolation factor
+ * @returns {number[]}
+ */
+function _slerp(qn, rn, t) {
+	const d = qn[0] * rn[0] + qn[1] * rn[1] + qn[2] * rn[2] + qn[3] * rn[3];
+	let u = 1.0 - t, v = t;
+
+	if (d < 1.0 - 1.0e-6) {
+		const a = Math.acos(Math.max(d, -1.0)), sin = 1.0 / Math.sin(a);
+
+		u = Math.sin(a * u) * sin;
+		v = Math.sin(a * t) * sin;
+	}
+
+	const n = [
+		qn[0] * u + rn[0] * v,
+		qn[1] * u + rn[1] * v,
+		qn[2] * u + rn[2] * v,
+		qn[3] * u + rn[3] * v
+	];
+	const norm = 1.0 / Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2] + n[3] * n[3]);
+
+	return n.map(item => item * norm);
+}
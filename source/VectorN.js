@@ -0,0 +1,428 @@
+import Vector2 from './Vector2';
+import Vector3 from './Vector3';
+import Vector4 from './Vector4';
+import Decomposition from './Decomposition';
+import Components from './Components';
+
+
+
+/**
+ * Arbitrary component vector
+ * Unlike the fixed size types, operations replace the component array of the instance instead of writing into it
+ */
+export default class VectorN {
+
+	/**
+	 * Returns a zero instance of dimension
+	 * @param {int} dimension - The number of components
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Zero(dimension, target) {
+		const n = new Array(dimension).fill(0.0);
+
+		if (target === undefined) target = new VectorN(n);
+		else target.n = n;
+
+		return target;
+	}
+
+	/**
+	 * Returns an instance of v
+	 * @param {Vector2} v - The source
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Vector2(v, target) {
+		return (target === undefined ? new VectorN() : target).define(Array.from(v.n.slice(0, 2)));
+	}
+
+	/**
+	 * Returns an instance of v
+	 * @param {Vector3} v - The source
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Vector3(v, target) {
+		return (target === undefined ? new VectorN() : target).define(Array.from(v.n.slice(0, 3)));
+	}
+
+	/**
+	 * Returns an instance of v
+	 * @param {Vector4} v - The source
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Vector4(v, target) {
+		return (target === undefined ? new VectorN() : target).define(Array.from(v.n.slice(0, 4)));
+	}
+
+
+	/**
+	 * Returns the sum of v and w (v+w)
+	 * @param {VectorN} v - The first summand
+	 * @param {VectorN} w - The second summand
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Add(v, w, target) {
+		return (target === undefined ? new VectorN() : target).add(v, w);
+	}
+
+	/**
+	 * Returns the difference of v and w (v-w)
+	 * @param {VectorN} v - The minuend
+	 * @param {VectorN} w - The subtrahend
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Subtract(v, w, target) {
+		return (target === undefined ? new VectorN() : target).subtract(v, w);
+	}
+
+	/**
+	 * Returns the scalar product of v and n (v*n)
+	 * @param {VectorN} v - The vector
+	 * @param {number} n - The scalar
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static MultiplyScalar(v, n, target) {
+		return (target === undefined ? new VectorN() : target).multiplyScalar(v, n);
+	}
+
+	/**
+	 * Returns the transformation of v (m*v)
+	 * Throws an Error if the columns of m do not match the dimension of v
+	 * @param {MatrixN} m - The transform
+	 * @param {VectorN} v - The vector
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static MultiplyMatrixN(m, v, target) {
+		return (target === undefined ? new VectorN() : target).multiplyMatrixN(m, v);
+	}
+
+	/**
+	 * Returns the solution x of m*x=b
+	 * Using gauss elimination with partial pivoting
+	 * Throws an Error if m is not square, if b does not match the size of m or if m is singular or ill-conditioned, see {@link MAX_CONDITION}
+	 * @param {MatrixN} m - The square matrix
+	 * @param {VectorN} b - The right-hand side
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Solve(m, b, target) {
+		return (target === undefined ? new VectorN() : target).solve(m, b);
+	}
+
+	/**
+	 * Returns the block of v starting at component offset
+	 * @param {VectorN} v - The source
+	 * @param {int} offset - The index of the first component
+	 * @param {int} dimension - The number of components
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Block(v, offset, dimension, target) {
+		return (target === undefined ? new VectorN() : target).blockOf(v, offset, dimension);
+	}
+
+	/**
+	 * Returns a copy of v
+	 * @param {VectorN} v - The source
+	 * @param {VectorN} [target] - The target instance
+	 * @returns {VectorN}
+	 */
+	static Copy(v, target) {
+		return (target === undefined ? new VectorN() : target).copyOf(v);
+	}
+
+
+	/**
+	 * Returns the dot product of v and w (v.w)
+	 * @param {VectorN} v - The first vector
+	 * @param {VectorN} w - The second vector
+	 * @returns {number}
+	 */
+	static dot(v, w) {
+		const vn = v.n, wn = w.n;
+		let res = 0.0;
+
+		for (let i = 0, l = vn.length; i < l; i += 1) res += vn[i] * wn[i];
+
+		return res;
+	}
+
+	/**
+	 * Returns true if v and w are equal, false otherwise (v==w)
+	 * @param {VectorN} v - The protagonist
+	 * @param {VectorN} w - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(v, w) {
+		if (v === w) return true;
+
+		const vn = v.n, wn = w.n, l = vn.length;
+
+		if (wn.length !== l) return false;
+
+		for (let i = 0; i < l; i += 1) {
+			if (vn[i] !== wn[i]) return false;
+		}
+
+		return true;
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the components
+	 * Omitting the array will return a vector without components
+	 */
+	constructor(n) {
+		/**
+		 * The component array
+		 * @type {number[]|Float32Array|Float64Array}
+		 */
+		this.n = (n && Components.isArray(n, n.length) ? n : []);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {number[]|Float32Array|Float64Array} [n] - Array representing the components
+	 * Omitting the array will return a vector without components
+	 * @returns {VectorN}
+	 */
+	define(n) {
+		this.constructor.call(this, n);
+
+		return this;
+	}
+
+
+	/**
+	 * The number of components
+	 * @type {int}
+	 */
+	get dimension() {
+		return this.n.length;
+	}
+
+	/**
+	 * The norm
+	 * @type {number}
+	 */
+	get norm() {
+		return Math.sqrt(this.normSquared);
+	}
+
+	/**
+	 * The square of the norm (norm*norm)
+	 * @type {number}
+	 */
+	get normSquared() {
+		return VectorN.dot(this, this);
+	}
+
+
+	/**
+	 * The sum of v and w (v+w)
+	 * @param {VectorN} v - The first summand
+	 * @param {VectorN} w - The second summand
+	 * @returns {VectorN}
+	 */
+	add(v, w) {
+		const wn = w.n;
+
+		this.n = v.n.map((item, index, source) => item + wn[index]);
+
+		return this;
+	}
+
+	/**
+	 * The difference of v and w (v-w)
+	 * @param {VectorN} v - The minuend
+	 * @param {VectorN} w - The subtrahend
+	 * @returns {VectorN}
+	 */
+	subtract(v, w) {
+		const wn = w.n;
+
+		this.n = v.n.map((item, index, source) => item - wn[index]);
+
+		return this;
+	}
+
+	/**
+	 * The scalar product of v and n (v*n)
+	 * @param {VectorN} v - The vector
+	 * @param {number} n - The scalar
+	 * @returns {VectorN}
+	 */
+	multiplyScalar(v, n) {
+		this.n = v.n.map((item, index, source) => item * n);
+
+		return this;
+	}
+
+	/**
+	 * The transformation of v (m*v)
+	 * Throws an Error if the columns of m do not match the dimension of v
+	 * @param {MatrixN} m - The transform
+	 * @param {VectorN} v - The vector
+	 * @returns {VectorN}
+	 */
+	multiplyMatrixN(m, v) {
+		if (m.cols !== v.dimension) throw new Error(`Incompatible dimensions ${ m.rows }x${ m.cols } and ${ v.dimension }`);
+
+		const mn = m.n, vn = v.n, rows = m.rows, cols = m.cols;
+		const n = new Array(rows).fill(0.0);
+
+		for (let c = 0; c < cols; c += 1) {
+			const col = c * rows, f = vn[c];
+
+			for (let r = 0; r < rows; r += 1) n[r] += mn[col + r] * f;
+		}
+
+		this.n = n;
+
+		return this;
+	}
+
+	/**
+	 * The solution x of m*x=b
+	 * Using gauss elimination with partial pivoting
+	 * Throws an Error if m is not square, if b does not match the size of m or if m is singular or ill-conditioned, see {@link MAX_CONDITION}
+	 * @param {MatrixN} m - The square matrix
+	 * @param {VectorN} b - The right-hand side
+	 * @returns {VectorN}
+	 */
+	solve(m, b) {
+		if (m.rows !== m.cols || m.rows !== b.dimension) {
+			throw new Error(`Incompatible dimensions ${ m.rows }x${ m.cols } and ${ b.dimension }`);
+		}
+
+		this.n = Decomposition.solve(m.n, b.n, m.rows);
+
+		return this;
+	}
+
+	/**
+	 * The block of v starting at component offset
+	 * @param {VectorN} v - The source
+	 * @param {int} offset - The index of the first component
+	 * @param {int} dimension - The number of components
+	 * @returns {VectorN}
+	 */
+	blockOf(v, offset, dimension) {
+		this.n = v.n.slice(offset, offset + dimension);
+
+		return this;
+	}
+
+	/**
+	 * The copy of v
+	 * @param {VectorN} v - The source
+	 * @returns {VectorN}
+	 */
+	copyOf(v) {
+		this.n = v.n.slice(0);
+
+		return this;
+	}
+
+
+	/**
+	 * The sum of the instance and w
+	 * @param {VectorN} w - The second summand
+	 * @returns {VectorN}
+	 */
+	addEQ(w) {
+		return this.add(this, w);
+	}
+
+	/**
+	 * The difference of the instance and w
+	 * @param {VectorN} w - The subtrahend
+	 * @returns {VectorN}
+	 */
+	subtractEQ(w) {
+		return this.subtract(this, w);
+	}
+
+	/**
+	 * The scalar product of the instance and n
+	 * @param {number} n - The scalar
+	 * @returns {VectorN}
+	 */
+	multiplyScalarEQ(n) {
+		return this.multiplyScalar(this, n);
+	}
+
+	/**
+	 * The insertion of v into the instance starting at component offset
+	 * @param {int} offset - The index of the first component
+	 * @param {VectorN|Vector2|Vector3|Vector4} v - The inserted vector
+	 * @returns {VectorN}
+	 */
+	insertEQ(offset, v) {
+		const n = this.n, vn = v.n;
+
+		for (let i = 0, l = vn.length; i < l; i += 1) n[offset + i] = vn[i];
+
+		return this;
+	}
+
+
+	/**
+	 * Returns the Vector2 representation of the instance starting at component offset
+	 * @param {int} [offset=0] - The index of the first component
+	 * @returns {Vector2}
+	 */
+	toVector2(offset = 0) {
+		return new Vector2(this.n.slice(offset, offset + 2));
+	}
+
+	/**
+	 * Returns the Vector3 representation of the instance starting at component offset
+	 * @param {int} [offset=0] - The index of the first component
+	 * @returns {Vector3}
+	 */
+	toVector3(offset = 0) {
+		return new Vector3(this.n.slice(offset, offset + 3));
+	}
+
+	/**
+	 * Returns the Vector4 representation of the instance starting at component offset
+	 * @param {int} [offset=0] - The index of the first component
+	 * @returns {Vector4}
+	 */
+	toVector4(offset = 0) {
+		return new Vector4(this.n.slice(offset, offset + 4));
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		const str = Array.from(this.n)
+			.map((item, index, source) => item.toFixed(digits))
+			.join(" ");
+
+		return `[VectorN](${ str })`;
+	}
+
+	/**
+	 * Returns the {@link VectorN#norm} of the instance
+	 * @returns {number}
+	 */
+	valueOf() {
+		return this.norm;
+	}
+}
@@ -0,0 +1,216 @@
+import Vector3 from './Vector3';
+import Matrix4 from './Matrix4';
+import Components from './Components';
+
+
+
+/**
+ * Screen space viewport
+ * Screen coordinates originate at the lower left corner, depths range from near to far
+ */
+export default class Viewport {
+
+	/**
+	 * Returns a copy of v
+	 * @param {Viewport} v - The source
+	 * @param {Viewport} [target] - The target instance
+	 * @returns {Viewport}
+	 */
+	static Copy(v, target) {
+		return (target === undefined ? new Viewport() : target).copyOf(v);
+	}
+
+
+	/**
+	 * Returns true if v and w are equal, false otherwise (v==w)
+	 * @param {Viewport} v - The protagonist
+	 * @param {Viewport} w - The antagonist
+	 * @returns {boolean}
+	 */
+	static isEQ(v, w) {
+		return v === w || (
+			v.x === w.x && v.y === w.y &&
+			v.width === w.width && v.height === w.height &&
+			v.near === w.near && v.far === w.far
+		);
+	}
+
+
+
+	/**
+	 * Creates a new instance
+	 * @param {number} [x=0.0] - The horizontal offset
+	 * @param {number} [y=0.0] - The vertical offset
+	 * @param {number} [width=1.0] - The width
+	 * @param {number} [height=1.0] - The height
+	 * @param {number} [near=0.0] - The depth of the near plane
+	 * @param {number} [far=1.0] - The depth of the far plane
+	 */
+	constructor(x, y, width, height, near, far) {
+		this.define(x, y, width, height, near, far);
+	}
+
+
+	/**
+	 * Redefines the instance
+	 * @param {number} [x=0.0] - The horizontal offset
+	 * @param {number} [y=0.0] - The vertical offset
+	 * @param {number} [width=1.0] - The width
+	 * @param {number} [height=1.0] - The height
+	 * @param {number} [near=0.0] - The depth of the near plane
+	 * @param {number} [far=1.0] - The depth of the far plane
+	 * @returns {Viewport}
+	 */
+	define(
+		x = 0.0,
+		y = 0.0,
+		width = 1.0,
+		height = 1.0,
+		near = 0.0,
+		far = 1.0
+	) {
+		/**
+		 * The horizontal offset
+		 * @type {number}
+		 */
+		this.x = x;
+
+		/**
+		 * The vertical offset
+		 * @type {number}
+		 */
+		this.y = y;
+
+		/**
+		 * The width
+		 * @type {number}
+		 */
+		this.width = width;
+
+		/**
+		 * The height
+		 * @type {number}
+		 */
+		this.height = height;
+
+		/**
+		 * The depth of the near plane
+		 * @type {number}
+		 */
+		this.near = near;
+
+		/**
+		 * The depth of the far plane
+		 * @type {number}
+		 */
+		this.far = far;
+
+		return this;
+	}
+
+
+	/**
+	 * The aspect ratio (w/h)
+	 * @type {number}
+	 */
+	get aspect() {
+		return this.width / this.height;
+	}
+
+
+	/**
+	 * Returns the screen space projection of world space point p
+	 * The x and y components of the result are the screen coordinates, the z component is the depth
+	 * @param {Vector3} p - The point
+	 * @param {Matrix4} view - The view transform
+	 * @param {Matrix4} projection - The projection transform
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	project(p, view, projection, target) {
+		if (target === undefined) target = new Vector3();
+
+		const n = target.multiplyMatrix4(Matrix4.Multiply(projection, view), p).n;
+
+		n[0] = this.x + (n[0] + 1.0) * 0.5 * this.width;
+		n[1] = this.y + (n[1] + 1.0) * 0.5 * this.height;
+		n[2] = this.near + (n[2] + 1.0) * 0.5 * (this.far - this.near);
+
+		return target;
+	}
+
+	/**
+	 * Returns the world space position of screen space point p at depth
+	 * Beware: method is NOT chainable
+	 * Returns null if the view-projection transform is assumed to be singular
+	 * @param {Vector2} p - The screen coordinates
+	 * @param {number} depth - The depth
+	 * @param {Matrix4} view - The view transform
+	 * @param {Matrix4} projection - The projection transform
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3|null}
+	 */
+	unproject(p, depth, view, projection, target) {
+		const inverse = Matrix4.Inverse(Matrix4.Multiply(projection, view));
+
+		if (inverse === null) return null;
+
+		const ndc = this.toNDC(p, depth);
+
+		if (target === undefined) target = new Vector3();
+
+		return target.multiplyMatrix4(inverse, ndc);
+	}
+
+
+	/**
+	 * Returns the normalized device coordinates of screen space point p at depth
+	 * @param {Vector2} p - The screen coordinates
+	 * @param {number} depth - The depth
+	 * @param {Vector3} [target] - The target instance
+	 * @returns {Vector3}
+	 */
+	toNDC(p, depth, target) {
+		const n = [
+			(p.n[0] - this.x) / this.width * 2.0 - 1.0,
+			(p.n[1] - this.y) / this.height * 2.0 - 1.0,
+			(depth - this.near) / (this.far - this.near) * 2.0 - 1.0
+		];
+
+		if (target === undefined) target = new Vector3(n);
+		else Components.assign(target.n, n);
+
+		return target;
+	}
+
+
+	/**
+	 * The copy of v
+	 * @param {Viewport} v - The source
+	 * @returns {Viewport}
+	 */
+	copyOf(v) {
+		return this.define(v.x, v.y, v.width, v.height, v.near, v.far);
+	}
+
+
+	/**
+	 * Returns a string representation of the instance
+	 * @param {int} [digits=3] - The decimal digits
+	 * @returns {string}
+	 */
+	toString(digits = 3) {
+		const str = [
+			this.x,
+			this.y,
+			this.width,
+			this.height,
+			this.near,
+			this.far
+		]
+			.map((item, index, source) => item.toFixed(digits))
+			.join(" ");
+
+		return `[Viewport](${ str })`;
+	}
+}